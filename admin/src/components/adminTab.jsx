@@ -9,6 +9,7 @@ import MenuItem from "@material-ui/core/MenuItem";
 import TextField from "@material-ui/core/TextField";
 import Typography from "@material-ui/core/Typography";
 import I18n from "@iobroker/adapter-react/i18n";
+import QRCode from "qrcode";
 
 const { isDirectIndoorAreaChannel } = require("./indoorAreaUtils");
 
@@ -120,6 +121,12 @@ const styles = theme => ({
 		fontFamily: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace",
 		fontSize: 12,
 	},
+	pairingQr: {
+		display: "block",
+		width: 220,
+		height: 220,
+		marginTop: theme.spacing(2),
+	},
 	fingerprintBeacon: {
 		display: "grid",
 		gridTemplateColumns: "1fr auto",
@@ -146,6 +153,19 @@ class AdminTab extends React.Component {
 			lastRefresh: null,
 			selectedAreaId: "",
 			newAreaName: "",
+			pairedDevices: [],
+			appDevices: [],
+			deviceTargets: {},
+			iobrokerUsers: [],
+			pairingPerson: "",
+			pairingDevice: "",
+			pairing: null,
+			webhooks: [],
+			webhookName: "",
+			webhookType: "tag",
+			webhookTarget: "",
+			webhookValue: "",
+			createdWebhook: null,
 		};
 	}
 
@@ -198,10 +218,14 @@ class AdminTab extends React.Component {
 
 		this.setState({ loading: true, error: "" });
 		try {
-			const [indoorChannels, indoorStates, personIndoorStates] = await Promise.all([
+			const [indoorChannels, indoorStates, personIndoorStates, pairingStates, userStates, userObjects, personChannels] = await Promise.all([
 				this.getObjectRange(socket, `${NAMESPACE}.indoor.`, "channel"),
 				this.getStateRange(socket, `${NAMESPACE}.indoor.*`),
 				this.getStateRange(socket, `${NAMESPACE}.person.*.*.indoor.*`),
+				this.getStateRange(socket, `${NAMESPACE}.person.*.*.pairing.*`),
+				this.getStateRange(socket, `${NAMESPACE}.person.*.*.iobroker_user`),
+				this.getObjectRange(socket, "system.user.", "user"),
+				this.getObjectRange(socket, `${NAMESPACE}.person.`, "channel"),
 			]);
 			const objects = indoorChannels || {};
 			const states = {
@@ -218,9 +242,13 @@ class AdminTab extends React.Component {
 				beacons,
 				areas,
 				devices: this.collectDevices(states),
+				pairedDevices: this.collectPairedDevices(pairingStates || {}, userStates || {}),
+				appDevices: this.collectAppDevices(personChannels || {}),
+				iobrokerUsers: Object.keys(userObjects || {}).sort(),
 				selectedAreaId,
 				lastRefresh: new Date(),
 			});
+			await this.loadWebhooks();
 		} catch (error) {
 			this.setState({
 				loading: false,
@@ -295,6 +323,174 @@ class AdminTab extends React.Component {
 			.sort((left, right) => `${left.person}.${left.device}`.localeCompare(`${right.person}.${right.device}`));
 	}
 
+	collectPairedDevices(states, userStates = {}) {
+		return Object.keys(states || {})
+			.filter(id => id.startsWith(`${NAMESPACE}.person.`) && id.endsWith(".pairing.paired"))
+			.map(id => {
+				const base = id.replace(".paired", "");
+				const parts = base.split(".");
+				return {
+					id: base,
+					person: parts[3] || "",
+					device: parts[4] || "",
+					paired: this.value(states, id, false) === true,
+					pairedAt: this.value(states, `${base}.paired_at`, "—"),
+					iobrokerUser: this.value(userStates, `${NAMESPACE}.person.${parts[3]}.${parts[4]}.iobroker_user`, ""),
+				};
+			})
+			.sort((left, right) => `${left.person}.${left.device}`.localeCompare(`${right.person}.${right.device}`));
+	}
+
+	collectAppDevices(objects) {
+		return Object.keys(objects || {})
+			.map(id => id.split("."))
+			.filter(parts => parts.length === 5 && `${parts[0]}.${parts[1]}` === NAMESPACE)
+			.map(parts => ({ id: parts.join("."), person: parts[3], device: parts[4] }))
+			.sort((left, right) => left.id.localeCompare(right.id));
+	}
+
+	manageDevice = async (command, message, confirmText) => {
+		const { socket } = this.props;
+		if (!socket || (confirmText && !window.confirm(confirmText))) return;
+		this.setState({ saving: true, error: "" });
+		try {
+			const result = await socket.sendTo(NAMESPACE, command, message);
+			if (!result || result.error) {
+				throw new Error(result && result.error ? result.error : "No response from adapter");
+			}
+			await this.refresh();
+		} catch (error) {
+			this.setState({ error: error && error.message ? error.message : String(error) });
+		} finally {
+			this.setState({ saving: false });
+		}
+	};
+
+	deviceTargetMessage(device) {
+		const [targetPerson, targetDevice] = String(this.state.deviceTargets[device.id] || "").trim().split(".");
+		return targetDevice
+			? { person: device.person, device: device.device, targetPerson, targetDevice }
+			: { person: device.person, device: device.device, targetDevice: targetPerson };
+	}
+
+	createPairingCode = async () => {
+		const { socket } = this.props;
+		const person = this.state.pairingPerson.trim();
+		const device = this.state.pairingDevice.trim();
+		if (!socket || !person || !device) return;
+
+		this.setState({ saving: true, error: "" });
+		try {
+			const result = await socket.sendTo(NAMESPACE, "createPairingCode", { person, device });
+			if (!result || result.error) {
+				throw new Error(result && result.error ? result.error : "No response from adapter");
+			}
+			const payload = JSON.stringify({
+				type: "iobapp-pairing",
+				host: window.location.hostname,
+				port: result.port,
+				code: result.code,
+			});
+			const qrDataUrl = await QRCode.toDataURL(payload, { margin: 1, width: 220 });
+			this.setState({ pairing: { ...result, payload, qrDataUrl } });
+		} catch (error) {
+			this.setState({ error: error && error.message ? error.message : String(error) });
+		} finally {
+			this.setState({ saving: false });
+		}
+	};
+
+	revokeDevice = async (person, device) => {
+		const { socket } = this.props;
+		if (!socket) return;
+		this.setState({ saving: true, error: "" });
+		try {
+			await socket.sendTo(NAMESPACE, "revokeDevice", { person, device });
+			await this.refresh();
+		} catch (error) {
+			this.setState({ error: error && error.message ? error.message : String(error) });
+		} finally {
+			this.setState({ saving: false });
+		}
+	};
+
+	linkDeviceUser = async (person, device, user) => {
+		const { socket } = this.props;
+		if (!socket) return;
+		this.setState({ saving: true, error: "" });
+		try {
+			await socket.setState(`${NAMESPACE}.person.${person}.${device}.iobroker_user`, user);
+			await this.refresh();
+		} catch (error) {
+			this.setState({ error: error && error.message ? error.message : String(error) });
+		} finally {
+			this.setState({ saving: false });
+		}
+	};
+
+	async loadWebhooks() {
+		const { socket } = this.props;
+		const result = await socket.sendTo(NAMESPACE, "listWebhooks", {});
+		this.setState({ webhooks: result && Array.isArray(result.webhooks) ? result.webhooks : [] });
+	}
+
+	webhookTargetFromForm() {
+		const { webhookType, webhookTarget, webhookValue } = this.state;
+		const target = webhookTarget.trim();
+		switch (webhookType) {
+			case "state":
+				return { type: "state", id: target, value: webhookValue.trim() };
+			case "action":
+				return { type: "action", actionId: target };
+			case "notification": {
+				const [person, device] = target.split(".");
+				return { type: "notification", person: person || "", device: device || "", title: webhookValue.trim() };
+			}
+			default:
+				return { type: "tag", tagId: target };
+		}
+	}
+
+	webhookUrl(webhook) {
+		const protocol = webhook.secure ? "https:" : "http:";
+		return `${protocol}//${window.location.hostname}:${webhook.port}${webhook.path}`;
+	}
+
+	createWebhook = async () => {
+		const { socket } = this.props;
+		const name = this.state.webhookName.trim();
+		if (!socket || !name) return;
+
+		this.setState({ saving: true, error: "" });
+		try {
+			const result = await socket.sendTo(NAMESPACE, "createWebhook", { name, target: this.webhookTargetFromForm() });
+			if (!result || result.error) {
+				throw new Error(result && result.error ? result.error : "No response from adapter");
+			}
+			this.setState({ createdWebhook: { ...result, url: this.webhookUrl(result) }, webhookName: "", webhookTarget: "", webhookValue: "" });
+			await this.loadWebhooks();
+		} catch (error) {
+			this.setState({ error: error && error.message ? error.message : String(error) });
+		} finally {
+			this.setState({ saving: false });
+		}
+	};
+
+	deleteWebhook = async (id) => {
+		const { socket } = this.props;
+		if (!socket) return;
+		this.setState({ saving: true, error: "" });
+		try {
+			await socket.sendTo(NAMESPACE, "deleteWebhook", { id });
+			this.setState({ createdWebhook: this.state.createdWebhook && this.state.createdWebhook.id === id ? null : this.state.createdWebhook });
+			await this.loadWebhooks();
+		} catch (error) {
+			this.setState({ error: error && error.message ? error.message : String(error) });
+		} finally {
+			this.setState({ saving: false });
+		}
+	};
+
 	createArea = async () => {
 		const { socket } = this.props;
 		const name = this.state.newAreaName.trim();
@@ -467,6 +663,226 @@ class AdminTab extends React.Component {
 		);
 	}
 
+	renderPairing(pairedDevices) {
+		const { classes } = this.props;
+		const { pairing } = this.state;
+		return (
+			<Card className={`${classes.card} ${classes.panelCard}`}>
+				<CardContent className={classes.panelContent}>
+					<Typography variant="h6">{I18n.t("devicePairing")}</Typography>
+					<Typography variant="body2" className={classes.secondary}>{I18n.t("devicePairingHint")}</Typography>
+					<div className={classes.formRow}>
+						<TextField
+							label={I18n.t("pairingPerson")}
+							value={this.state.pairingPerson}
+							onChange={event => this.setState({ pairingPerson: event.target.value })}
+							fullWidth
+						/>
+						<TextField
+							label={I18n.t("pairingDevice")}
+							value={this.state.pairingDevice}
+							onChange={event => this.setState({ pairingDevice: event.target.value })}
+							fullWidth
+						/>
+						<Button
+							variant="contained"
+							color="primary"
+							disabled={this.state.saving || !this.state.pairingPerson.trim() || !this.state.pairingDevice.trim()}
+							onClick={this.createPairingCode}
+						>
+							{I18n.t("createPairingCode")}
+						</Button>
+					</div>
+					<div className={classes.scrollList}>
+						{pairing ? (
+							<div className={classes.listItem}>
+								<Typography variant="subtitle1">{pairing.person} · {pairing.device}</Typography>
+								<Typography className={classes.mono}>{pairing.code}</Typography>
+								<Typography variant="caption" className={classes.secondary}>
+									{I18n.t("pairingExpires")}: {new Date(pairing.expiresAt).toLocaleTimeString()}
+								</Typography>
+								<img className={classes.pairingQr} src={pairing.qrDataUrl} alt={pairing.code} />
+							</div>
+						) : null}
+						{pairedDevices.length === 0 ? <Typography className={classes.secondary}>{I18n.t("noPairedDevices")}</Typography> : pairedDevices.map(device => (
+							<div key={device.id} className={`${classes.listItem} ${classes.fingerprintBeacon}`}>
+								<div>
+									<Typography variant="subtitle1">
+										{device.person} · {device.device}
+										<Chip size="small" className={classes.chip} label={device.paired ? I18n.t("paired") : I18n.t("revoked")} />
+									</Typography>
+									<Typography variant="caption" className={classes.secondary}>{device.pairedAt}</Typography>
+								</div>
+								<TextField
+									select
+									label={I18n.t("iobrokerUser")}
+									value={device.iobrokerUser}
+									onChange={event => this.linkDeviceUser(device.person, device.device, event.target.value)}
+									disabled={this.state.saving}
+								>
+									<MenuItem value="">{I18n.t("adapterRights")}</MenuItem>
+									{this.state.iobrokerUsers.map(user => <MenuItem key={user} value={user}>{user.replace("system.user.", "")}</MenuItem>)}
+								</TextField>
+								<Button size="small" disabled={this.state.saving || !device.paired} onClick={() => this.revokeDevice(device.person, device.device)}>
+									{I18n.t("revoke")}
+								</Button>
+							</div>
+						))}
+					</div>
+				</CardContent>
+			</Card>
+		);
+	}
+
+	renderDeviceManagement(appDevices) {
+		const { classes } = this.props;
+		return (
+			<Card className={`${classes.card} ${classes.panelCard}`}>
+				<CardContent className={classes.panelContent}>
+					<Typography variant="h6">{I18n.t("deviceManagement")}</Typography>
+					<Typography variant="body2" className={classes.secondary}>{I18n.t("deviceManagementHint")}</Typography>
+					<div className={classes.scrollList}>
+						{appDevices.length === 0 ? <Typography className={classes.secondary}>{I18n.t("noAppDevices")}</Typography> : appDevices.map(device => {
+							const target = String(this.state.deviceTargets[device.id] || "").trim();
+							return (
+								<div key={device.id} className={`${classes.listItem} ${classes.fingerprintBeacon}`}>
+									<Typography variant="subtitle1">{device.person} · {device.device}</Typography>
+									<TextField
+										label={I18n.t("deviceTarget")}
+										placeholder={`${device.person}.${device.device}`}
+										value={this.state.deviceTargets[device.id] || ""}
+										onChange={event => this.setState({ deviceTargets: { ...this.state.deviceTargets, [device.id]: event.target.value } })}
+									/>
+									<Button size="small" disabled={this.state.saving || !target} onClick={() => this.manageDevice("renameDevice", this.deviceTargetMessage(device))}>
+										{I18n.t("renameDevice")}
+									</Button>
+									<Button
+										size="small"
+										disabled={this.state.saving || !target}
+										onClick={() => this.manageDevice("mergeDevices", this.deviceTargetMessage(device), I18n.t("mergeDeviceConfirm"))}
+									>
+										{I18n.t("mergeDevices")}
+									</Button>
+									<Button
+										size="small"
+										disabled={this.state.saving}
+										onClick={() => this.manageDevice("deleteDevice", { person: device.person, device: device.device }, I18n.t("deleteDeviceConfirm"))}
+									>
+										{I18n.t("deleteDevice")}
+									</Button>
+									<Button
+										size="small"
+										disabled={this.state.saving}
+										onClick={() => this.manageDevice("deletePerson", { person: device.person }, I18n.t("deletePersonConfirm"))}
+									>
+										{I18n.t("deletePerson")}
+									</Button>
+								</div>
+							);
+						})}
+					</div>
+				</CardContent>
+			</Card>
+		);
+	}
+
+	describeWebhookTarget(target) {
+		if (!target) return "—";
+		switch (target.type) {
+			case "state":
+				return `${I18n.t("webhookTypeState")}: ${target.id}${target.value !== undefined ? ` = ${target.value}` : ""}`;
+			case "action":
+				return `${I18n.t("webhookTypeAction")}: ${target.actionId}`;
+			case "notification":
+				return `${I18n.t("webhookTypeNotification")}: ${[target.person, target.device].filter(Boolean).join(".") || I18n.t("allDevices")}`;
+			default:
+				return `${I18n.t("webhookTypeTag")}: ${target.tagId}`;
+		}
+	}
+
+	renderWebhooks(webhooks) {
+		const { classes } = this.props;
+		const { createdWebhook, webhookType } = this.state;
+		const targetLabels = {
+			tag: "webhookTargetTag",
+			state: "webhookTargetState",
+			action: "webhookTargetAction",
+			notification: "webhookTargetNotification",
+		};
+		return (
+			<Card className={`${classes.card} ${classes.panelCard}`}>
+				<CardContent className={classes.panelContent}>
+					<Typography variant="h6">{I18n.t("webhooks")}</Typography>
+					<Typography variant="body2" className={classes.secondary}>{I18n.t("webhooksHint")}</Typography>
+					<div className={classes.formRow}>
+						<TextField
+							label={I18n.t("webhookName")}
+							value={this.state.webhookName}
+							onChange={event => this.setState({ webhookName: event.target.value })}
+							fullWidth
+						/>
+						<TextField
+							select
+							label={I18n.t("webhookType")}
+							value={webhookType}
+							onChange={event => this.setState({ webhookType: event.target.value })}
+							fullWidth
+						>
+							<MenuItem value="tag">{I18n.t("webhookTypeTag")}</MenuItem>
+							<MenuItem value="state">{I18n.t("webhookTypeState")}</MenuItem>
+							<MenuItem value="action">{I18n.t("webhookTypeAction")}</MenuItem>
+							<MenuItem value="notification">{I18n.t("webhookTypeNotification")}</MenuItem>
+						</TextField>
+						<TextField
+							label={I18n.t(targetLabels[webhookType])}
+							value={this.state.webhookTarget}
+							onChange={event => this.setState({ webhookTarget: event.target.value })}
+							fullWidth
+						/>
+						{webhookType === "state" || webhookType === "notification" ? (
+							<TextField
+								label={I18n.t(webhookType === "state" ? "webhookValue" : "webhookTitle")}
+								value={this.state.webhookValue}
+								onChange={event => this.setState({ webhookValue: event.target.value })}
+								fullWidth
+							/>
+						) : null}
+						<Button
+							variant="contained"
+							color="primary"
+							disabled={this.state.saving || !this.state.webhookName.trim() || (webhookType !== "notification" && !this.state.webhookTarget.trim())}
+							onClick={this.createWebhook}
+						>
+							{I18n.t("createWebhook")}
+						</Button>
+					</div>
+					<div className={classes.scrollList}>
+						{createdWebhook ? (
+							<div className={classes.listItem}>
+								<Typography variant="subtitle1">{createdWebhook.name}</Typography>
+								<Typography className={classes.mono}>{createdWebhook.url}</Typography>
+								<Typography variant="caption" className={classes.secondary}>{I18n.t("webhookUrlOnce")}</Typography>
+							</div>
+						) : null}
+						{webhooks.length === 0 ? <Typography className={classes.secondary}>{I18n.t("noWebhooks")}</Typography> : webhooks.map(webhook => (
+							<div key={webhook.id} className={`${classes.listItem} ${classes.fingerprintBeacon}`}>
+								<div>
+									<Typography variant="subtitle1">{webhook.name}</Typography>
+									<Typography variant="caption" className={classes.secondary}>
+										{this.describeWebhookTarget(webhook.target)} · {I18n.t("webhookCalls")}: {webhook.count} · {webhook.lastCalled || "—"}
+									</Typography>
+								</div>
+								<Button size="small" disabled={this.state.saving} onClick={() => this.deleteWebhook(webhook.id)}>
+									{I18n.t("revoke")}
+								</Button>
+							</div>
+						))}
+					</div>
+				</CardContent>
+			</Card>
+		);
+	}
+
 	renderBeaconManager(beacons, areas) {
 		const { classes } = this.props;
 		return (
@@ -527,7 +943,7 @@ class AdminTab extends React.Component {
 
 	render() {
 		const { classes } = this.props;
-		const { loading, error, beacons, areas, devices, lastRefresh } = this.state;
+		const { loading, error, beacons, areas, devices, pairedDevices, appDevices, webhooks, lastRefresh } = this.state;
 		const selectedArea = areas.find(area => area.id === this.state.selectedAreaId);
 		const beaconById = new Map(beacons.map(beacon => [beacon.id, beacon]));
 
@@ -576,6 +992,9 @@ class AdminTab extends React.Component {
 					<Grid item xs={12} lg={4}>{this.renderAreaList(areas)}</Grid>
 					<Grid item xs={12} lg={4}>{this.renderAreaDetails(selectedArea, beaconById)}</Grid>
 					<Grid item xs={12}>{this.renderBeaconManager(beacons, areas)}</Grid>
+					<Grid item xs={12}>{this.renderPairing(pairedDevices)}</Grid>
+					<Grid item xs={12}>{this.renderDeviceManagement(appDevices)}</Grid>
+					<Grid item xs={12}>{this.renderWebhooks(webhooks)}</Grid>
 				</Grid>
 			</div>
 		);
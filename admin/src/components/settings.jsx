@@ -176,6 +176,50 @@ class Settings extends React.Component {
 				<br />
 				{this.renderInput("wsPort", "wsPort", "number")}
 				<br />
+				{this.renderCheckbox("wsSecure", "wsSecure")}
+				<br />
+				{this.props.native.wsSecure ? (
+					<>
+						{this.renderInput("wsCertPublic", "wsCertPublic", "text")}
+						<br />
+						{this.renderInput("wsCertPrivate", "wsCertPrivate", "text")}
+						<br />
+						{this.renderInput("wsCertChained", "wsCertChained", "text")}
+						<br />
+					</>
+				) : null}
+				{this.renderCheckbox("wsCompression", "wsCompression")}
+				<br />
+				{this.renderCheckbox("restEnabled", "restEnabled")}
+				<br />
+				{this.renderInput("heartbeatIntervalSeconds", "heartbeatIntervalSeconds", "number")}
+				<br />
+				{this.renderInput("heartbeatTimeoutSeconds", "heartbeatTimeoutSeconds", "number")}
+				<br />
+				{this.renderInput("shutdownReconnectDelaySeconds", "shutdownReconnectDelaySeconds", "number")}
+				<br />
+				{this.renderInput("sessionTtlMinutes", "sessionTtlMinutes", "number")}
+				<br />
+				{this.renderCheckbox("pairingRequired", "pairingRequired")}
+				<br />
+				{this.renderCheckbox("legacyPasswordAuth", "legacyPasswordAuth")}
+				<br />
+				{this.renderInput("bruteForceMaxFailures", "bruteForceMaxFailures", "number")}
+				<br />
+				{this.renderInput("bruteForceLockoutSeconds", "bruteForceLockoutSeconds", "number")}
+				<br />
+				{this.renderCheckbox("trustProxy", "trustProxy")}
+				<br />
+				{this.renderInput("messageRateLimitPerMinute", "messageRateLimitPerMinute", "number")}
+				<br />
+				{this.renderInput("idempotencyWindowSeconds", "idempotencyWindowSeconds", "number")}
+				<br />
+				{this.renderInput("batteryLowLevel", "batteryLowLevel", "number")}
+				<br />
+				{this.renderInput("subscriptionAllowlist", "subscriptionAllowlist", "text")}
+				<br />
+				{this.renderInput("controlAllowlist", "controlAllowlist", "text")}
+				<br />
 				{this.renderCheckbox("relayEnabled", "relayEnabled")}
 				<br />
 				{this.renderInput("relayUrl", "relayUrl", "text")}
@@ -186,6 +230,8 @@ class Settings extends React.Component {
 				<br />
 				{this.renderInput("minWakeIntervalMinutes", "minWakeIntervalMinutes", "number")}
 				<br />
+				{this.renderCheckbox("wakeAfterRestart", "wakeAfterRestart")}
+				<br />
 				<Typography variant="h6" className={this.props.classes.sectionTitle}>
 					{I18n.t("indoorPositioning")}
 				</Typography>
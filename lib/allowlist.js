@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Splits an admin allowlist setting into its entries. Entries may be separated by
+ * commas, semicolons or new lines.
+ *
+ * @param {unknown} text
+ * @returns {string[]}
+ */
+function parseAllowlist(text) {
+    return String(text || '')
+        .split(/[\n,;]/)
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Converts an ioBroker style ID pattern (`*` matches any characters) into a RegExp.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Builds a predicate for state IDs from allowlist entries. Entries starting with
+ * `enum.` are matched through the members of that enum; a member covers itself and
+ * every object below it, so listing a device or channel allows all of its states.
+ *
+ * @param {string[]} entries
+ * @param {Map<string, string[]>} [enumMembers] Members of the `enum.*` entries by enum ID
+ * @returns {(id: string) => boolean}
+ */
+function createAllowlist(entries, enumMembers = new Map()) {
+    const patterns = entries.filter(entry => !entry.startsWith('enum.')).map(patternToRegExp);
+    const members = [];
+    for (const entry of entries.filter(entry => entry.startsWith('enum.'))) {
+        members.push(...(enumMembers.get(entry) || []));
+    }
+
+    return id => patterns.some(pattern => pattern.test(id))
+        || members.some(member => id === member || id.startsWith(`${member}.`));
+}
+
+module.exports = {
+    parseAllowlist,
+    patternToRegExp,
+    createAllowlist,
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+const { localDay } = require('./health');
+
+/** Sensor ids under `person.<p>.<d>.sensors` that report the battery level in percent. */
+const LEVEL_SENSORS = ['battery', 'battery_level'];
+/** Sensor ids that report the charging state, as boolean or as iOS battery state string. */
+const CHARGING_SENSORS = ['charging', 'battery_state'];
+
+const HOUR_MS = 60 * 60 * 1000;
+// Level changes within this window are used for the current charge or discharge rate.
+const RATE_WINDOW_MS = 6 * HOUR_MS;
+const MIN_RATE_SPAN_MS = 15 * 60 * 1000;
+const LOW_BATTERY_HYSTERESIS = 5;
+const KEPT_SESSIONS = 30;
+const KEPT_DAYS = 28;
+const TREND_DAYS = 7;
+
+/**
+ * @typedef {object} ChargeSession
+ * @property {number} start
+ * @property {number} end
+ * @property {number} durationMinutes
+ * @property {number} startLevel
+ * @property {number} endLevel
+ * @property {number} energyPercent Level gained during the session
+ */
+
+/**
+ * @typedef {object} BatteryTracker
+ * @property {number | null} level
+ * @property {boolean} charging
+ * @property {number} ts Time of the last processed report
+ * @property {[number, number][]} points `[ts, level]` of the current charge or discharge phase
+ * @property {{ start: number, startLevel: number | null, targetReached: boolean } | null} session Running charge session
+ * @property {ChargeSession[]} sessions Completed sessions, newest last
+ * @property {number | null} dischargeRate Percent per hour
+ * @property {number | null} chargeRate Percent per hour
+ * @property {boolean} low
+ * @property {Record<string, { drop: number, hours: number }>} days Discharge by local day
+ */
+
+/**
+ * @typedef {{ type: 'sessionStart' } | { type: 'sessionEnd', session: ChargeSession } | { type: 'lowBattery', level: number } | { type: 'targetReached', level: number }} BatteryEvent
+ */
+
+/** @returns {BatteryTracker} */
+function createBatteryTracker() {
+    return { level: null, charging: false, ts: 0, points: [], session: null, sessions: [], dischargeRate: null, chargeRate: null, low: false, days: {} };
+}
+
+/** `UIDevice.BatteryState` raw values that mean the device is plugged in (`charging`, `full`). */
+const CHARGING_BATTERY_STATES = [2, 3];
+
+/**
+ * Reads the charging state from a boolean, an iOS battery state such as `charging`,
+ * `full` or `unplugged`, or its raw value (0 unknown, 1 unplugged, 2 charging, 3 full).
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function parseCharging(value) {
+    if (typeof value === 'string') return ['charging', 'full', 'true'].includes(value.trim().toLowerCase());
+    if (typeof value === 'number') return CHARGING_BATTERY_STATES.includes(value);
+    return Boolean(value);
+}
+
+/**
+ * Applies a battery level report to the tracker.
+ *
+ * @param {BatteryTracker} tracker Updated in place
+ * @param {number} ts
+ * @param {number} level
+ * @param {{ lowLevel: number, targetLevel?: number }} limits `targetLevel` only while a smart plug is configured
+ * @returns {BatteryEvent[]}
+ */
+function applyBatteryLevel(tracker, ts, level, limits) {
+    /** @type {BatteryEvent[]} */
+    const events = [];
+    if (ts < tracker.ts) return events;
+    if (!tracker.charging && tracker.level !== null && tracker.ts > 0) {
+        const day = tracker.days[localDay(ts)] || { drop: 0, hours: 0 };
+        day.drop += Math.max(tracker.level - level, 0);
+        day.hours += (ts - tracker.ts) / HOUR_MS;
+        tracker.days[localDay(ts)] = day;
+    }
+
+    tracker.points = [...tracker.points, /** @type {[number, number]} */ ([ts, level])].filter(([pointTs]) => pointTs >= ts - RATE_WINDOW_MS);
+    const [first] = tracker.points;
+    if (ts - first[0] >= MIN_RATE_SPAN_MS) {
+        const rate = round(Math.abs(level - first[1]) / ((ts - first[0]) / HOUR_MS), 2);
+        if (tracker.charging) tracker.chargeRate = rate;
+        else tracker.dischargeRate = rate;
+    }
+
+    if (!tracker.charging && !tracker.low && level <= limits.lowLevel) {
+        tracker.low = true;
+        events.push({ type: 'lowBattery', level });
+    } else if (tracker.low && level > limits.lowLevel + LOW_BATTERY_HYSTERESIS) {
+        tracker.low = false;
+    }
+    if (tracker.session && !tracker.session.targetReached && limits.targetLevel && level >= limits.targetLevel) {
+        tracker.session.targetReached = true;
+        events.push({ type: 'targetReached', level });
+    }
+
+    tracker.level = level;
+    tracker.ts = ts;
+    pruneDays(tracker, ts);
+    return events;
+}
+
+/**
+ * Applies a charging state report to the tracker. Plugging in starts a charge session,
+ * unplugging completes it.
+ *
+ * @param {BatteryTracker} tracker Updated in place
+ * @param {number} ts
+ * @param {boolean} charging
+ * @returns {BatteryEvent[]}
+ */
+function applyCharging(tracker, ts, charging) {
+    /** @type {BatteryEvent[]} */
+    const events = [];
+    if (ts < tracker.ts) return events;
+    tracker.ts = ts;
+    if (charging === tracker.charging) return events;
+
+    if (charging) {
+        tracker.session = { start: ts, startLevel: tracker.level, targetReached: false };
+        tracker.low = false;
+        events.push({ type: 'sessionStart' });
+    } else if (tracker.session) {
+        const startLevel = tracker.session.startLevel === null ? Number(tracker.level) : tracker.session.startLevel;
+        const endLevel = tracker.level === null ? startLevel : tracker.level;
+        const session = {
+            start: tracker.session.start,
+            end: ts,
+            durationMinutes: Math.round((ts - tracker.session.start) / 60000),
+            startLevel,
+            endLevel,
+            energyPercent: endLevel - startLevel,
+        };
+        tracker.sessions = [...tracker.sessions, session].slice(-KEPT_SESSIONS);
+        tracker.session = null;
+        events.push({ type: 'sessionEnd', session });
+    }
+    tracker.charging = charging;
+    tracker.points = tracker.level === null ? [] : [[ts, tracker.level]];
+    return events;
+}
+
+/**
+ * Derives estimates from the tracker. `healthTrend` compares the average discharge rate
+ * of the latest 7 days with at least an hour of discharge against the 7 such days before,
+ * in percent; a rising value means the battery drains faster than it used to. It stays
+ * null until both periods have at least three days.
+ *
+ * @param {BatteryTracker} tracker
+ * @returns {{ timeToEmpty: number | null, timeToFull: number | null, healthTrend: number | null }}
+ */
+function batteryEstimates(tracker) {
+    const level = tracker.level;
+    const timeToEmpty = level !== null && !tracker.charging && tracker.dischargeRate
+        ? Math.round(level / tracker.dischargeRate * 60)
+        : null;
+    const timeToFull = level !== null && tracker.charging && tracker.chargeRate
+        ? Math.round(Math.max(100 - level, 0) / tracker.chargeRate * 60)
+        : null;
+
+    const rates = Object.keys(tracker.days).sort()
+        .filter(day => tracker.days[day].hours >= 1)
+        .map(day => tracker.days[day].drop / tracker.days[day].hours);
+    const recent = rates.slice(-TREND_DAYS);
+    const previous = rates.slice(-2 * TREND_DAYS, -TREND_DAYS);
+    let healthTrend = null;
+    if (recent.length >= 3 && previous.length >= 3 && average(previous) > 0) {
+        healthTrend = round((average(recent) - average(previous)) / average(previous) * 100, 1);
+    }
+    return { timeToEmpty, timeToFull, healthTrend };
+}
+
+function pruneDays(tracker, ts) {
+    const oldestDay = localDay(ts - (KEPT_DAYS - 1) * 24 * HOUR_MS);
+    for (const day of Object.keys(tracker.days)) {
+        if (day < oldestDay) delete tracker.days[day];
+    }
+}
+
+const average = (/** @type {number[]} */ values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const round = (/** @type {number} */ value, /** @type {number} */ digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+module.exports = {
+    LEVEL_SENSORS,
+    CHARGING_SENSORS,
+    createBatteryTracker,
+    parseCharging,
+    applyBatteryLevel,
+    applyCharging,
+    batteryEstimates,
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+/** Days of daily aggregates kept per health type. */
+const HEALTH_HISTORY_DAYS = 14;
+/** How long the UUIDs of counted samples are remembered, long enough for the app to retry an upload. */
+const HEALTH_UUID_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} HealthSample
+ * @property {string} uuid HealthKit sample UUID
+ * @property {string} type Quantity type, e.g. `HKQuantityTypeIdentifierHeartRate`
+ * @property {number} value
+ * @property {string} [unit]
+ * @property {string} [source]
+ * @property {number} start Start of the sample in epoch milliseconds
+ * @property {number} end End of the sample in epoch milliseconds
+ */
+
+/**
+ * @typedef {object} HealthDay
+ * @property {number} sum
+ * @property {number} min
+ * @property {number} max
+ * @property {number} avg
+ * @property {number} count
+ * @property {string} unit
+ * @property {number} ts End of the latest sample of the day
+ */
+
+/**
+ * Converts a HealthKit type identifier into an object id segment:
+ * `HKQuantityTypeIdentifierHeartRate` becomes `heart_rate`.
+ *
+ * @param {string} type
+ * @returns {string}
+ */
+function healthTypeId(type) {
+    const id = String(type || '')
+        .replace(/^HK(Quantity|Category)TypeIdentifier/, '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9_]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+    return id || 'unknown';
+}
+
+/**
+ * Local calendar day of a timestamp as `YYYY-MM-DD`.
+ *
+ * @param {number} ts
+ * @returns {string}
+ */
+function localDay(ts) {
+    const date = new Date(ts);
+    const pad = (/** @type {number} */ value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Adds samples of one health type to its daily aggregates. A sample counts for the day
+ * it starts on. Samples whose UUID was counted within the retention window are skipped,
+ * as are samples older than the kept days.
+ *
+ * @param {Record<string, HealthDay>} days Aggregates by local day, updated in place
+ * @param {Record<string, number>} seen Time each recently counted UUID was received, updated in place
+ * @param {HealthSample[]} samples
+ * @param {number} [now]
+ * @returns {{ accepted: HealthSample[], duplicates: number, expired: number, changedDays: string[] }}
+ */
+function aggregateHealthSamples(days, seen, samples, now = Date.now()) {
+    const oldestDay = localDay(now - (HEALTH_HISTORY_DAYS - 1) * 24 * 60 * 60 * 1000);
+    for (const [uuid, receivedAt] of Object.entries(seen)) {
+        if (receivedAt < now - HEALTH_UUID_RETENTION_MS) delete seen[uuid];
+    }
+    const known = new Set(Object.keys(seen));
+    /** @type {HealthSample[]} */
+    const accepted = [];
+    const changedDays = new Set();
+    let duplicates = 0;
+    let expired = 0;
+
+    for (const sample of samples) {
+        const day = localDay(sample.start);
+        if (day < oldestDay) {
+            expired++;
+            continue;
+        }
+        if (known.has(sample.uuid)) {
+            duplicates++;
+            continue;
+        }
+        const aggregate = days[day] || { sum: 0, min: sample.value, max: sample.value, avg: 0, count: 0, unit: '', ts: 0 };
+        aggregate.sum += sample.value;
+        aggregate.min = Math.min(aggregate.min, sample.value);
+        aggregate.max = Math.max(aggregate.max, sample.value);
+        aggregate.count++;
+        aggregate.avg = aggregate.sum / aggregate.count;
+        aggregate.unit = sample.unit || aggregate.unit;
+        aggregate.ts = Math.max(aggregate.ts, sample.end);
+        days[day] = aggregate;
+        known.add(sample.uuid);
+        seen[sample.uuid] = now;
+        changedDays.add(day);
+        accepted.push(sample);
+    }
+
+    for (const day of Object.keys(days)) {
+        if (day < oldestDay) delete days[day];
+    }
+    return { accepted, duplicates, expired, changedDays: [...changedDays].sort() };
+}
+
+module.exports = {
+    HEALTH_HISTORY_DAYS,
+    HEALTH_UUID_RETENTION_MS,
+    healthTypeId,
+    localDay,
+    aggregateHealthSamples,
+};
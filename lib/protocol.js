@@ -0,0 +1,577 @@
+'use strict';
+
+/**
+ * Machine-readable error codes sent as `code` next to the human-readable `error`
+ * text of a WebSocket reply.
+ */
+const ErrorCodes = Object.freeze({
+    VALIDATION: 'E_VALIDATION',
+    AUTH: 'E_AUTH',
+    FORBIDDEN: 'E_FORBIDDEN',
+    LOCKED: 'E_LOCKED',
+    RATE_LIMITED: 'E_RATE_LIMITED',
+    NOT_FOUND: 'E_NOT_FOUND',
+    NOT_DELIVERED: 'E_NOT_DELIVERED',
+    IDEMPOTENCY_CONFLICT: 'E_IDEMPOTENCY_CONFLICT',
+    UNKNOWN_ACTION: 'E_UNKNOWN_ACTION',
+    INVALID_FRAME: 'E_INVALID_FRAME',
+    INTERNAL: 'E_INTERNAL',
+});
+
+/** HTTP status used by the REST API for each error code. */
+const HttpStatusByCode = Object.freeze({
+    [ErrorCodes.VALIDATION]: 400,
+    [ErrorCodes.INVALID_FRAME]: 400,
+    [ErrorCodes.AUTH]: 401,
+    [ErrorCodes.FORBIDDEN]: 403,
+    [ErrorCodes.NOT_FOUND]: 404,
+    [ErrorCodes.UNKNOWN_ACTION]: 404,
+    [ErrorCodes.NOT_DELIVERED]: 409,
+    [ErrorCodes.IDEMPOTENCY_CONFLICT]: 409,
+    [ErrorCodes.LOCKED]: 429,
+    [ErrorCodes.RATE_LIMITED]: 429,
+    [ErrorCodes.INTERNAL]: 500,
+});
+
+/**
+ * @typedef {object} FieldSchema
+ * @property {string | string[]} type One or more of string, number, boolean, object, array, null
+ * @property {boolean} [required]
+ * @property {number} [minLength] Minimum string length
+ * @property {RegExp} [pattern] Pattern a string must match
+ * @property {string[]} [enum] Allowed string values
+ * @property {number} [min] Minimum number value
+ * @property {number} [max] Maximum number value
+ * @property {Record<string, FieldSchema>} [properties] Schemas of known object properties
+ * @property {FieldSchema} [items] Schema of every array item
+ * @property {number} [maxItems] Maximum array length
+ */
+
+// Object id segments must not contain dots or wildcards, otherwise a client could address other subtrees.
+const SEGMENT = /^[^.*?]+$/;
+// Relative state paths: dot-separated segments without wildcards or empty parts.
+const STATE_PATH = /^[^.*?]+(\.[^.*?]+)*$/;
+
+const segment = (required = true) => ({ type: 'string', required, minLength: 1, pattern: SEGMENT });
+// Original time of a buffered event: epoch milliseconds or an ISO 8601 string.
+const EVENT_TS = { type: ['number', 'string'] };
+
+/** Actions that may appear inside a `batch` frame. */
+const BATCH_ACTIONS = [
+    'set',
+    'controlState',
+    'setPresence',
+    'postDevices',
+    'tagsTrigger',
+    'executeAction',
+    'notificationAck',
+    'indoorBeaconScan',
+    'healthSamples',
+    'watchSnapshot',
+];
+const MAX_BATCH_ITEMS = 500;
+const MAX_HEALTH_SAMPLES = 1000;
+
+/** Write actions that accept an `idempotencyKey` to suppress duplicate execution on retries. */
+const IDEMPOTENT_ACTIONS = [
+    'set',
+    'controlState',
+    'setPresence',
+    'postDevices',
+    'tagsTrigger',
+    'createTag',
+    'executeAction',
+    'indoorBeaconScan',
+    'healthSamples',
+    'watchSnapshot',
+    'batch',
+];
+
+/** @type {Record<string, FieldSchema>} */
+const ACTION_SCHEMAS = {
+    hello: {
+        type: 'object',
+        properties: {
+            protocolVersion: { type: 'number', min: 1 },
+            appVersion: { type: 'string' },
+            capabilities: { type: 'array', maxItems: 100, items: { type: 'string' } },
+            notificationCommands: { type: 'array', maxItems: 100, items: { type: 'string' } },
+            payloadFields: { type: 'array', maxItems: 100, items: { type: 'string' } },
+            encodings: { type: 'array', items: { type: 'string' } },
+        },
+    },
+    setDeviceToken: {
+        type: 'object',
+        required: true,
+        properties: {
+            deviceToken: { type: 'string', required: true },
+            person: segment(),
+            device: segment(),
+        },
+    },
+    pairDevice: {
+        type: 'object',
+        required: true,
+        properties: {
+            code: { type: 'string', required: true, minLength: 1 },
+        },
+    },
+    getDevices: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+        },
+    },
+    postPersons: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+        },
+    },
+    deletePerson: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+        },
+    },
+    deleteDevice: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+            device: segment(),
+        },
+    },
+    renameDevice: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+            device: segment(),
+            targetPerson: segment(false),
+            targetDevice: segment(),
+        },
+    },
+    mergeDevices: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+            device: segment(),
+            targetPerson: segment(false),
+            targetDevice: segment(),
+        },
+    },
+    migrateDevice: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+            device: segment(),
+            clientId: { type: 'string', required: true, minLength: 1 },
+            deviceToken: { type: 'string' },
+            targetPerson: segment(false),
+            targetDevice: segment(false),
+            deleteSource: { type: 'boolean' },
+        },
+    },
+    healthSamples: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+            device: segment(),
+            samples: {
+                type: 'array',
+                required: true,
+                maxItems: MAX_HEALTH_SAMPLES,
+                items: {
+                    type: 'object',
+                    properties: {
+                        uuid: { type: 'string', required: true, minLength: 1 },
+                        type: { type: 'string', required: true, minLength: 1 },
+                        value: { type: 'number', required: true },
+                        unit: { type: 'string' },
+                        startDate: { ...EVENT_TS, required: true },
+                        endDate: EVENT_TS,
+                        source: { type: 'string' },
+                    },
+                },
+            },
+        },
+    },
+    watchSnapshot: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+            device: segment(),
+            watch: segment(false),
+            name: { type: 'string' },
+            model: { type: 'string' },
+            battery: { type: 'number', min: 0, max: 100 },
+            charging: { type: 'boolean' },
+            onWrist: { type: 'boolean' },
+            reachable: { type: 'boolean' },
+            ts: EVENT_TS,
+        },
+    },
+    postDevices: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(),
+            device: segment(),
+            sensors: {
+                type: 'array',
+                required: true,
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string', required: true, minLength: 1, pattern: STATE_PATH },
+                        name: { type: ['string', 'object'] },
+                        type: { type: 'string', enum: ['number', 'string', 'boolean', 'array', 'object', 'mixed', 'json', 'file'] },
+                        role: { type: 'string' },
+                        unit: { type: 'string' },
+                        min: { type: 'number' },
+                        max: { type: 'number' },
+                        states: { type: ['object', 'string'] },
+                    },
+                },
+            },
+        },
+    },
+    set: {
+        type: 'object',
+        required: true,
+        properties: {
+            path: { type: 'string', required: true, minLength: 1, pattern: STATE_PATH },
+            value: { type: ['string', 'number', 'boolean', 'null'], required: true },
+            ts: EVENT_TS,
+        },
+    },
+    batch: {
+        type: 'object',
+        required: true,
+        properties: {
+            items: {
+                type: 'array',
+                required: true,
+                maxItems: MAX_BATCH_ITEMS,
+                items: {
+                    type: 'object',
+                    properties: {
+                        action: { type: 'string', required: true, enum: BATCH_ACTIONS },
+                        id: { type: ['string', 'number'] },
+                    },
+                },
+            },
+        },
+    },
+    subscribeStates: {
+        type: 'object',
+        required: true,
+        properties: {
+            ids: {
+                type: 'array',
+                required: true,
+                maxItems: 200,
+                items: { type: 'string', minLength: 1, pattern: STATE_PATH },
+            },
+        },
+    },
+    controlState: {
+        type: 'object',
+        required: true,
+        properties: {
+            id: { type: 'string', required: true, minLength: 1, pattern: STATE_PATH },
+            value: { type: ['string', 'number', 'boolean', 'null'], required: true },
+        },
+    },
+    unsubscribeStates: {
+        type: 'object',
+        properties: {
+            ids: { type: 'array', items: { type: 'string' } },
+        },
+    },
+    setPresence: {
+        type: 'object',
+        required: true,
+        properties: {
+            locationName: segment(),
+            person: segment(),
+            presence: { type: 'boolean' },
+            distance: { type: 'number', min: 0 },
+            ts: EVENT_TS,
+        },
+    },
+    tagsTrigger: {
+        type: 'object',
+        required: true,
+        properties: {
+            tagId: { type: 'string', required: true, minLength: 1 },
+            ts: EVENT_TS,
+        },
+    },
+    createTag: {
+        type: 'object',
+        required: true,
+        properties: {
+            tagId: { type: 'string' },
+            name: { type: 'string' },
+        },
+    },
+    executeAction: {
+        type: 'object',
+        required: true,
+        properties: {
+            actionId: { type: 'string', required: true, minLength: 1 },
+            payload: { type: 'object' },
+        },
+    },
+    notificationAck: {
+        type: 'object',
+    },
+    indoorBeaconScan: {
+        type: 'object',
+        required: true,
+        properties: {
+            person: segment(false),
+            device: segment(false),
+            trigger: { type: 'string' },
+            timestamp: { type: 'string' },
+            learningAreaId: { type: 'string' },
+            learningAreaName: { type: 'string' },
+            beacons: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        localName: { type: 'string' },
+                        rssi: { type: ['number', 'null'] },
+                        txPower: { type: ['number', 'null'] },
+                        connectable: { type: 'boolean' },
+                        services: { type: 'array', items: { type: 'string' } },
+                    },
+                },
+            },
+        },
+    },
+    setIndoorBeaconClassification: {
+        type: 'object',
+        required: true,
+        properties: {
+            beaconId: { type: 'string', required: true, minLength: 1 },
+            classification: { type: 'string', enum: ['unknown', 'fixed', 'mobile', 'ignored'] },
+            assignedArea: { type: 'string' },
+            notes: { type: 'string' },
+        },
+    },
+    setIndoorAreaBeaconMode: {
+        type: 'object',
+        required: true,
+        properties: {
+            areaId: { type: 'string', required: true, minLength: 1 },
+            beaconId: { type: 'string', required: true, minLength: 1 },
+            mode: { type: 'string', enum: ['auto', 'include', 'exclude'] },
+        },
+    },
+};
+
+for (const action of IDEMPOTENT_ACTIONS) {
+    const properties = /** @type {Record<string, FieldSchema>} */ (ACTION_SCHEMAS[action].properties);
+    properties.idempotencyKey = { type: 'string', minLength: 1 };
+}
+
+/** Protocol version announced by the adapter in `hello`. */
+const PROTOCOL_VERSION = 3;
+
+/** Client capabilities a notification command needs in addition to being declared. */
+const COMMAND_REQUIREMENTS = {
+    request_indoor_scan: 'indoorScanning',
+    update_watch: 'watch',
+};
+
+/**
+ * @typedef {object} ClientCapabilities
+ * @property {number} protocolVersion
+ * @property {string} appVersion
+ * @property {string[]} capabilities Feature flags such as watch, healthKit, indoorScanning
+ * @property {string[] | null} notificationCommands Understood commands, null if not declared
+ * @property {string[] | null} payloadFields Understood notification payload fields, null if not declared
+ */
+
+const stringList = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : null);
+
+/**
+ * Reads the client part of a v3 `hello`. Returns null for older clients that do not
+ * declare anything, so that they keep receiving every push.
+ *
+ * @param {any} data
+ * @returns {ClientCapabilities | null}
+ */
+function parseClientCapabilities(data) {
+    if (!data || typeof data !== 'object') return null;
+    const declared = ['protocolVersion', 'appVersion', 'capabilities', 'notificationCommands', 'payloadFields']
+        .some(key => data[key] !== undefined);
+    if (!declared) return null;
+
+    return {
+        protocolVersion: Number(data.protocolVersion) || 2,
+        appVersion: typeof data.appVersion === 'string' ? data.appVersion : '',
+        capabilities: stringList(data.capabilities) || [],
+        notificationCommands: stringList(data.notificationCommands),
+        payloadFields: stringList(data.payloadFields),
+    };
+}
+
+/**
+ * @param {ClientCapabilities | null | undefined} client
+ * @param {string} command
+ */
+function isCommandSupported(client, command) {
+    if (!client) return true;
+    if (client.notificationCommands && !client.notificationCommands.includes(command)) return false;
+    const requirement = COMMAND_REQUIREMENTS[command];
+    return !requirement || client.capabilities.includes(requirement);
+}
+
+/**
+ * Adapts an outgoing push to what the client declared: drops notification commands it
+ * does not understand (returns null) and strips unknown notification payload fields.
+ * `aps` is always kept because iOS itself interprets it.
+ *
+ * @param {ClientCapabilities | null | undefined} client
+ * @param {any} message
+ * @returns {any}
+ */
+function adaptMessageForClient(client, message) {
+    if (!client || !message) return message;
+    if (message.action === 'notificationCommand') {
+        return isCommandSupported(client, message.data && message.data.command) ? message : null;
+    }
+    if (message.action === 'notification' && client.payloadFields && message.payload && typeof message.payload === 'object') {
+        const payload = {};
+        for (const [field, value] of Object.entries(message.payload)) {
+            if (field === 'aps' || client.payloadFields.includes(field)) {
+                payload[field] = value;
+            }
+        }
+        return { ...message, payload };
+    }
+    return message;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a field schema.
+ *
+ * @param {unknown} value
+ * @param {FieldSchema} schema
+ * @param {string} field Path of the value used in error entries, e.g. `data.sensors[0].id`
+ * @returns {{ field: string, message: string }[]}
+ */
+function validateValue(value, schema, field) {
+    if (value === undefined) {
+        return schema.required ? [{ field, message: 'is required' }] : [];
+    }
+
+    const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actualType = typeOf(value);
+    if (!allowedTypes.includes(actualType)) {
+        return [{ field, message: `must be of type ${allowedTypes.join(' or ')}` }];
+    }
+
+    const errors = [];
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({ field, message: 'must not be empty' });
+        } else if (schema.pattern && !schema.pattern.test(value)) {
+            errors.push({ field, message: 'contains invalid characters' });
+        } else if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ field, message: `must be one of ${schema.enum.join(', ')}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            errors.push({ field, message: 'must be a finite number' });
+        } else if (schema.min !== undefined && value < schema.min) {
+            errors.push({ field, message: `must be >= ${schema.min}` });
+        } else if (schema.max !== undefined && value > schema.max) {
+            errors.push({ field, message: `must be <= ${schema.max}` });
+        }
+    }
+
+    if (actualType === 'object' && schema.properties) {
+        const object = /** @type {Record<string, unknown>} */ (value);
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            errors.push(...validateValue(object[key], propertySchema, `${field}.${key}`));
+        }
+    }
+
+    if (Array.isArray(value) && schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return [{ field, message: `must not contain more than ${schema.maxItems} items` }];
+    }
+
+    const itemSchema = schema.items;
+    if (Array.isArray(value) && itemSchema) {
+        value.forEach((item, index) => {
+            errors.push(...validateValue(item, itemSchema, `${field}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Converts the `ts` of a replayed event into epoch milliseconds. Timestamps in the
+ * future are capped at `now`.
+ *
+ * @param {unknown} value
+ * @param {number} [now]
+ * @returns {number | undefined} undefined without a timestamp, NaN for an invalid one
+ */
+function parseEventTimestamp(value, now = Date.now()) {
+    if (value === undefined || value === null) return undefined;
+    const ts = typeof value === 'number' ? value : Date.parse(String(value));
+    if (!Number.isFinite(ts) || ts <= 0) return NaN;
+    return Math.min(Math.round(ts), now);
+}
+
+/**
+ * Validates the `data` of a WebSocket frame against the schema of its action.
+ * Actions without a schema accept any data.
+ *
+ * @param {string} action
+ * @param {unknown} data
+ * @returns {{ field: string, message: string }[]}
+ */
+function validateActionData(action, data) {
+    const schema = Object.prototype.hasOwnProperty.call(ACTION_SCHEMAS, action) ? ACTION_SCHEMAS[action] : null;
+    return schema ? validateValue(data, schema, 'data') : [];
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    ErrorCodes,
+    HttpStatusByCode,
+    ACTION_SCHEMAS,
+    BATCH_ACTIONS,
+    IDEMPOTENT_ACTIONS,
+    validateActionData,
+    parseEventTimestamp,
+    parseClientCapabilities,
+    isCommandSupported,
+    adaptMessageForClient,
+};
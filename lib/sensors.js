@@ -0,0 +1,67 @@
+'use strict';
+
+/** `common` attributes of a sensor object that follow the app's sensor definition. */
+const RECONCILED_FIELDS = ['type', 'role', 'unit', 'min', 'max', 'states'];
+
+/**
+ * Builds the `common` part of a newly created sensor object.
+ *
+ * @param {Record<string, any>} sensor Sensor definition sent in `postDevices`
+ * @returns {ioBroker.StateCommon}
+ */
+function sensorCommon(sensor) {
+    /** @type {ioBroker.StateCommon} */
+    const common = {
+        name: sensor.name,
+        type: sensor.type,
+        role: sensor.role || 'value',
+        unit: sensor.unit || '',
+        read: true,
+        write: true,
+        states: sensor.states || undefined,
+    };
+    if (typeof sensor.min === 'number') common.min = sensor.min;
+    if (typeof sensor.max === 'number') common.max = sensor.max;
+    return common;
+}
+
+/**
+ * Compares an existing sensor object with the app's current definition. Only attributes
+ * present in the definition are compared, so an older app that omits `unit` does not
+ * clear it.
+ *
+ * @param {Record<string, any> | undefined} common `common` of the existing object
+ * @param {Record<string, any>} sensor Sensor definition sent in `postDevices`
+ * @returns {Record<string, { from: any, to: any }>} Changed attributes, empty if up to date
+ */
+function diffSensorCommon(common, sensor) {
+    /** @type {Record<string, { from: any, to: any }>} */
+    const changes = {};
+    for (const field of RECONCILED_FIELDS) {
+        if (sensor[field] === undefined) continue;
+        const current = common ? common[field] : undefined;
+        if (JSON.stringify(current) !== JSON.stringify(sensor[field])) {
+            changes[field] = { from: current === undefined ? null : current, to: sensor[field] };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Whether a state below a device channel is one of the app's sensors. Sensors created
+ * before they were marked with `native.sensor` are recognized by their place in the
+ * device's `sensors` channel.
+ *
+ * @param {string} relativeId Id below the device channel, e.g. `sensors.battery`
+ * @param {Record<string, any> | undefined} native `native` of the existing object
+ * @returns {boolean}
+ */
+function isSensorState(relativeId, native) {
+    return Boolean(native && native.sensor) || relativeId.startsWith('sensors.');
+}
+
+module.exports = {
+    sensorCommon,
+    diffSensorCommon,
+    isSensorState,
+};
@@ -1,9 +1,39 @@
 'use strict';
 
+const crypto = require('crypto');
 const utils = require('@iobroker/adapter-core');
 const express = require('express');
 const bodyParser = require('body-parser');
+const http = require('http');
+const https = require('https');
 const WebSocket = require('ws');
+const msgpack = require('@msgpack/msgpack');
+const {
+    PROTOCOL_VERSION,
+    ErrorCodes,
+    HttpStatusByCode,
+    IDEMPOTENT_ACTIONS,
+    validateActionData,
+    parseEventTimestamp,
+    parseClientCapabilities,
+    isCommandSupported,
+    adaptMessageForClient,
+} = require('./lib/protocol');
+const { parseAllowlist, createAllowlist } = require('./lib/allowlist');
+const { sensorCommon, diffSensorCommon, isSensorState } = require('./lib/sensors');
+const { healthTypeId, aggregateHealthSamples } = require('./lib/health');
+const {
+    LEVEL_SENSORS,
+    CHARGING_SENSORS,
+    createBatteryTracker,
+    parseCharging,
+    applyBatteryLevel,
+    applyCharging,
+    batteryEstimates,
+} = require('./lib/battery');
+
+// An `on_wrist` report older than this no longer counts as wearing the watch.
+const WATCH_ON_WRIST_FRESH_MS = 30 * 60 * 1000;
 
 class Iobapp extends utils.Adapter {
     constructor(options) {
@@ -15,15 +45,37 @@ class Iobapp extends utils.Adapter {
         this.on('unload', this.onUnload.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
         this.on('message', this.onMessage.bind(this));
+        this.on('objectChange', this.onObjectChange.bind(this));
 
         this.app = express();
         this.server = null;
         this.wsServer = null; // WebSocket server
         this.messageQueue = new Map(); // Queue for messages to be sent later
         this.clients = new Map(); // Store clients with their IDs
+        this.idempotencyCache = new Map(); // Replies of recent write actions by device and idempotency key
         this.relayWakeInterval = null;
         this.indoorOccupancyInterval = null;
+        this.heartbeatInterval = null;
         this.relayLastWakeByDevice = new Map();
+        this.sessions = new Map(); // Active session tokens by session id
+        this.sessionSecret = null;
+        this.pairingCodes = new Map(); // One-time pairing codes by code
+        this.authFailures = new Map(); // Failed authentication attempts by remote address
+        this.recentAuthFailures = [];
+        this.authFailuresTotal = 0;
+        this.securityInterval = null;
+        this.stateSubscribers = new Map(); // Connections subscribed to a foreign state by state id
+        this.connectionCounter = 0;
+        this.clientRegistryDirty = false;
+        this.clientRegistryInterval = null;
+        this.clientRegistryTimer = null;
+        this.restartWakeTimer = null;
+        this.unloading = false;
+        this.batteryObjects = new Set(); // Battery analytics channels created since start
+        this.batteryUpdates = new Map(); // Battery channel id -> running analytics update
+        this.restRateWindows = new Map(); // Message rate windows of REST clients by remote address
+        this.wearingWatchTimers = new Map(); // Timers that re-evaluate wearing_watch when on_wrist gets old, by person.watch
+        this.iobrokerUsersLinked = null; // Whether any person or device is linked to an ioBroker user, null until read
     }
 
     async onReady() {
@@ -42,7 +94,19 @@ class Iobapp extends utils.Adapter {
 
         const wsPort = this.config.wsPort || 9192;
 
-        this.initializeWebSocket(wsPort);
+        this.registerWebhookRoutes();
+        if (this.config.restEnabled !== false) {
+            this.registerRestRoutes();
+        }
+        this.app.use((err, req, res, _next) => {
+            res.status(400).json({ error: 'Invalid message format', code: ErrorCodes.INVALID_FRAME });
+        });
+        await this.loadSessionStore();
+        await this.ensureSecurityObjects();
+        const previousClients = await this.loadPreviousClients();
+        await this.ensureClientRegistryObjects();
+        await this.initializeWebSocket(wsPort);
+        this.scheduleRestartWake(previousClients);
         this.startRelayWakeMonitor();
         this.startIndoorOccupancyExpiryMonitor();
         await this.ensureIndoorBeaconMetadataObjects();
@@ -53,6 +117,8 @@ class Iobapp extends utils.Adapter {
     onUnload(callback) {
         try {
             this.log.debug('Adapter is unloading.');
+            this.unloading = true;
+            this.announceShutdown();
             if (this.server) {
                 this.server.close(() => {
                     this.log.debug('Server closed.');
@@ -71,6 +137,28 @@ class Iobapp extends utils.Adapter {
                 clearInterval(this.indoorOccupancyInterval);
                 this.indoorOccupancyInterval = null;
             }
+            if (this.heartbeatInterval) {
+                clearInterval(this.heartbeatInterval);
+                this.heartbeatInterval = null;
+            }
+            if (this.securityInterval) {
+                clearInterval(this.securityInterval);
+                this.securityInterval = null;
+            }
+            if (this.clientRegistryInterval) {
+                clearInterval(this.clientRegistryInterval);
+                this.clientRegistryInterval = null;
+            }
+            if (this.clientRegistryTimer) {
+                clearTimeout(this.clientRegistryTimer);
+                this.clientRegistryTimer = null;
+            }
+            if (this.restartWakeTimer) {
+                clearTimeout(this.restartWakeTimer);
+                this.restartWakeTimer = null;
+            }
+            this.wearingWatchTimers.forEach(timer => clearTimeout(timer));
+            this.wearingWatchTimers.clear();
             callback();
         } catch (e) {
             callback();
@@ -78,6 +166,13 @@ class Iobapp extends utils.Adapter {
     }
 
     async onStateChange(id, state) {
+        if (id.startsWith(`${this.namespace}.person.`) && id.endsWith('.iobroker_user')) {
+            this.iobrokerUsersLinked = null;
+        }
+        if (this.stateSubscribers.has(id)) {
+            this.pushStateChange(id, state);
+            if (!id.startsWith(`${this.namespace}.`)) return;
+        }
         if (state) {
             this.log.info(`State ${id} changed: ${state.val} (ack = ${state.ack})`);
             if (id.endsWith('.send') && state.val === true) {
@@ -91,6 +186,12 @@ class Iobapp extends utils.Adapter {
         }
     }
 
+    async onObjectChange(id) {
+        if (id === 'system.certificates' && this.config.wsSecure) {
+            await this.reloadWebSocketCertificates();
+        }
+    }
+
     async onMessage(obj) {
         if (typeof obj === 'object' && obj.message) {
             if (obj.command === 'saveSettings') {
@@ -111,6 +212,40 @@ class Iobapp extends utils.Adapter {
                     this.sendTo(obj.from, obj.command, { result: 'Settings saved' }, obj.callback);
                     this.log.debug('Settings saved successfully.');
                 });
+            } else if (obj.command === 'createPairingCode') {
+                try {
+                    const pairing = this.createPairingCode(obj.message.person, obj.message.device);
+                    this.sendTo(obj.from, obj.command, pairing, obj.callback);
+                } catch (err) {
+                    this.sendTo(obj.from, obj.command, { error: err.message }, obj.callback);
+                }
+            } else if (obj.command === 'revokeDevice') {
+                await this.revokeDevicePairing(obj.message.person, obj.message.device);
+                this.sendTo(obj.from, obj.command, { result: 'Device revoked' }, obj.callback);
+            } else if (['deletePerson', 'deleteDevice', 'renameDevice', 'mergeDevices', 'migrateDevice'].includes(obj.command)) {
+                const collector = { connection: { trusted: true }, send: (payload) => this.sendTo(obj.from, obj.command, JSON.parse(payload), obj.callback) };
+                if (obj.command === 'migrateDevice') {
+                    await this.handleMigrateDevice(collector, obj.message);
+                } else {
+                    await this.handleDeviceManagement(collector, obj.command, obj.message);
+                }
+            } else if (obj.command === 'createWebhook') {
+                try {
+                    const webhook = await this.createWebhook(obj.message);
+                    this.sendTo(obj.from, obj.command, webhook, obj.callback);
+                } catch (err) {
+                    this.sendTo(obj.from, obj.command, { error: err.message }, obj.callback);
+                }
+            } else if (obj.command === 'listWebhooks') {
+                this.sendTo(obj.from, obj.command, { webhooks: await this.listWebhooks() }, obj.callback);
+            } else if (obj.command === 'deleteWebhook') {
+                await this.deleteWebhook(obj.message.id);
+                this.sendTo(obj.from, obj.command, { result: 'Webhook deleted' }, obj.callback);
+            } else if (obj.command === 'getSessions') {
+                this.sendTo(obj.from, obj.command, { sessions: this.listSessions() }, obj.callback);
+            } else if (obj.command === 'revokeSessions') {
+                const revoked = await this.revokeSessions(obj.message);
+                this.sendTo(obj.from, obj.command, { result: 'Sessions revoked', revoked }, obj.callback);
             }
         }
     }
@@ -168,7 +303,7 @@ class Iobapp extends utils.Adapter {
     async handleGetPersons(socket) {
         this.log.debug('Received request to get persons.');
         try {
-            const objects = await this.getForeignObjectsAsync(`${this.namespace}.person.*`, 'state');
+            const objects = await this.getForeignObjectsAsync(`${this.namespace}.person.*`, 'state', await this.aclOptionsFor(socket));
             const persons = new Set();
 
             for (const id in objects) {
@@ -184,8 +319,12 @@ class Iobapp extends utils.Adapter {
             this.log.debug(`Sending persons: ${JSON.stringify(personsArray)}`);
             socket.send(JSON.stringify({ action: 'getPersons', data: personsArray }));
         } catch (err) {
+            if (this.isPermissionError(err)) {
+                socket.send(JSON.stringify({ action: 'getPersons', error: 'Permission denied', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
             this.log.error(`Error getting persons: ${err}`);
-            socket.send(JSON.stringify({ action: 'getPersons', error: 'Error getting persons' }));
+            socket.send(JSON.stringify({ action: 'getPersons', error: 'Error getting persons', code: ErrorCodes.INTERNAL }));
         }
     }
 
@@ -193,12 +332,13 @@ class Iobapp extends utils.Adapter {
         const { person } = data;
         this.log.debug(`Received request to get devices for person: ${person}`);
         try {
-            const objects = await this.getForeignObjectsAsync(`${this.namespace}.person.${person}.*`, 'state');
+            const objects = await this.getForeignObjectsAsync(`${this.namespace}.person.${person}.*`, 'state', await this.aclOptionsFor(socket));
             const devices = new Set();
 
             for (const id in objects) {
                 if (objects.hasOwnProperty(id) && !id.includes('.messages')) {  // Ignore devices named "messages"
-                    const deviceMatch = id.match(/^iobapp\.\d+\.person\.[^\.]+\.([^\.]+)/);
+                    // Person-level states such as iobroker_user or wearing_watch have no segment below them
+                    const deviceMatch = id.match(/^iobapp\.\d+\.person\.[^\.]+\.([^\.]+)\./);
                     if (deviceMatch) {
                         devices.add(deviceMatch[1]);
                     }
@@ -209,8 +349,12 @@ class Iobapp extends utils.Adapter {
             this.log.debug(`Sending devices: ${JSON.stringify(devicesArray)}`);
             socket.send(JSON.stringify({ action: 'getDevices', data: devicesArray }));
         } catch (err) {
+            if (this.isPermissionError(err)) {
+                socket.send(JSON.stringify({ action: 'getDevices', error: 'Permission denied', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
             this.log.error(`Error getting devices for person ${person}: ${err}`);
-            socket.send(JSON.stringify({ action: 'getDevices', error: `Error getting devices for person ${person}` }));
+            socket.send(JSON.stringify({ action: 'getDevices', error: `Error getting devices for person ${person}`, code: ErrorCodes.INTERNAL }));
         }
     }
 
@@ -227,10 +371,383 @@ class Iobapp extends utils.Adapter {
             socket.send(JSON.stringify({ action: 'postPersons', success: true }));
         } catch (err) {
             this.log.error(`Error creating person ${person}: ${err}`);
-            socket.send(JSON.stringify({ action: 'postPersons', error: `Error creating person ${person}` }));
+            socket.send(JSON.stringify({ action: 'postPersons', error: `Error creating person ${person}`, code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    deviceBase(person, device) {
+        return `${this.namespace}.person.${person}${device ? `.${device}` : ''}`;
+    }
+
+    /**
+     * Handles `deletePerson`, `deleteDevice`, `renameDevice` and `mergeDevices`, both as
+     * app actions and as admin commands. Renaming moves the device to `targetPerson`
+     * (defaults to `person`) and `targetDevice`, which must not exist yet; merging copies
+     * the device into an existing target and deletes it afterwards.
+     */
+    async handleDeviceManagement(socket, action, data) {
+        const { person, device } = data || {};
+        const validationErrors = validateActionData(action, data);
+        if (validationErrors.length > 0) {
+            socket.send(JSON.stringify({ action, error: 'Invalid data', code: ErrorCodes.VALIDATION, errors: validationErrors }));
+            return;
+        }
+        const targetPerson = data.targetPerson || person;
+        const targetDevice = data.targetDevice;
+
+        try {
+            const options = await this.aclOptionsFor(socket);
+            if (!await this.getForeignObjectAsync(this.deviceBase(person, device))) {
+                socket.send(JSON.stringify({ action, error: `${device ? `Device ${person}.${device}` : `Person ${person}`} not found`, code: ErrorCodes.NOT_FOUND }));
+                return;
+            }
+            if (targetDevice) {
+                const targetExists = Boolean(await this.getForeignObjectAsync(this.deviceBase(targetPerson, targetDevice)));
+                const sameDevice = targetPerson === person && targetDevice === device;
+                if (sameDevice || (action === 'renameDevice' && targetExists)) {
+                    socket.send(JSON.stringify({
+                        action,
+                        error: 'Invalid data',
+                        code: ErrorCodes.VALIDATION,
+                        errors: [{ field: 'data.targetDevice', message: sameDevice ? 'must differ from the device' : 'already exists' }],
+                    }));
+                    return;
+                }
+                if (action === 'mergeDevices' && !targetExists) {
+                    socket.send(JSON.stringify({ action, error: `Device ${targetPerson}.${targetDevice} not found`, code: ErrorCodes.NOT_FOUND }));
+                    return;
+                }
+            }
+            await this.checkObjectWritable(this.deviceBase(person, device), options);
+            if (action === 'mergeDevices') {
+                await this.checkObjectWritable(this.deviceBase(targetPerson, targetDevice), options);
+            }
+
+            switch (action) {
+                case 'deletePerson':
+                    await this.deletePerson(person, options);
+                    break;
+                case 'deleteDevice':
+                    await this.deleteDevice(person, device, options);
+                    break;
+                case 'renameDevice':
+                    await this.renameDevice(person, device, targetPerson, targetDevice, options);
+                    break;
+                case 'mergeDevices':
+                    await this.mergeDevices(person, device, targetPerson, targetDevice, options);
+                    break;
+            }
+            socket.send(JSON.stringify({ action, success: true, data: { person, device, targetPerson: targetDevice ? targetPerson : undefined, targetDevice } }));
+        } catch (err) {
+            if (this.isPermissionError(err)) {
+                socket.send(JSON.stringify({ action, error: 'Permission denied', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
+            this.log.error(`Error handling ${action} for ${person}${device ? `.${device}` : ''}: ${err}`);
+            socket.send(JSON.stringify({ action, error: `Error handling ${action}`, code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    /**
+     * Moves a device identity to a new phone. Without `targetDevice` the new `clientId` and
+     * APNs token are bound to the existing device channel, so scripts keep working. With
+     * `targetDevice` the objects, values and history settings are copied there first,
+     * keeping what the new phone already created; `deleteSource` removes the old device.
+     * The previous client id is unregistered at the relay and its queued messages move
+     * to the new one.
+     */
+    async handleMigrateDevice(socket, data) {
+        const validationErrors = validateActionData('migrateDevice', data);
+        if (validationErrors.length > 0) {
+            socket.send(JSON.stringify({ action: 'migrateDevice', error: 'Invalid data', code: ErrorCodes.VALIDATION, errors: validationErrors }));
+            return;
+        }
+        const { person, device, clientId, deviceToken, deleteSource } = data;
+        const targetPerson = data.targetPerson || person;
+        const targetDevice = data.targetDevice || device;
+        const from = this.deviceBase(person, device);
+        const to = this.deviceBase(targetPerson, targetDevice);
+
+        try {
+            const options = await this.aclOptionsFor(socket);
+            if (!await this.getForeignObjectAsync(from)) {
+                socket.send(JSON.stringify({ action: 'migrateDevice', error: `Device ${person}.${device} not found`, code: ErrorCodes.NOT_FOUND }));
+                return;
+            }
+            if (deleteSource && from !== to) {
+                await this.checkObjectWritable(from, options);
+            }
+            const previousClientId = await this.deviceClientId(person, device);
+
+            if (from !== to) {
+                if (!await this.getForeignObjectAsync(this.deviceBase(targetPerson))) {
+                    await this.setForeignObjectAsync(this.deviceBase(targetPerson), { type: 'channel', common: { name: targetPerson }, native: {} }, options);
+                }
+                await this.copyObjectTree(from, to, options);
+            }
+
+            for (const [state, name] of [['ws_device_id', 'WebSocket Device ID'], ['device_token', 'APNs Device Token']]) {
+                await this.setForeignObjectNotExistsAsync(`${to}.${state}`, {
+                    type: 'state',
+                    common: { name, type: 'string', role: 'text', read: true, write: false },
+                    native: {},
+                }, options);
+            }
+            await this.setForeignStateAsync(`${to}.ws_device_id`, { val: clientId, ack: true }, options);
+            if (deviceToken) {
+                await this.setForeignStateAsync(`${to}.device_token`, { val: deviceToken, ack: true }, options);
+            }
+
+            if (previousClientId && previousClientId !== clientId) {
+                const queued = this.messageQueue.get(previousClientId);
+                if (queued) {
+                    this.messageQueue.set(clientId, [...(this.messageQueue.get(clientId) || []), ...queued]);
+                    this.messageQueue.delete(previousClientId);
+                }
+                this.relayLastWakeByDevice.delete(previousClientId);
+                this.clients.delete(previousClientId);
+                await this.unregisterRelayDevice(previousClientId);
+            }
+
+            // Bind the calling app connection to the migrated identity, unless it proved to be another device.
+            const connection = this.connectionOf(socket);
+            const verified = this.verifiedIdentityOf(connection);
+            const isAppConnection = typeof connection.send === 'function'
+                && (!verified.person || [from, to].includes(this.deviceBase(verified.person, verified.device)));
+            if (isAppConnection) {
+                const holders = verified.person ? [connection, connection.session, connection.pairedDevice] : [connection];
+                holders.filter(Boolean).forEach(holder => {
+                    holder.person = targetPerson;
+                    holder.device = targetDevice;
+                    holder.clientId = clientId;
+                });
+                if (verified.person && connection.session) await this.persistSessions();
+                if (deviceToken) connection.deviceToken = deviceToken;
+                this.clients.set(clientId, connection);
+            }
+
+            // The previous client id is handled above and the calling connection already belongs to the target.
+            if (deleteSource && from !== to) {
+                await this.releaseDevice(person, device, previousClientId);
+                await this.delForeignObjectAsync(from, { recursive: true, ...options });
+            }
+
+            await this.registerStoredRelayDevice(targetPerson, targetDevice);
+            this.log.info(`Device ${person}.${device} migrated to ${targetPerson}.${targetDevice} with client ${clientId}${previousClientId && previousClientId !== clientId ? ` (was ${previousClientId})` : ''}`);
+            socket.send(JSON.stringify({
+                action: 'migrateDevice',
+                success: true,
+                data: { person: targetPerson, device: targetDevice, clientId, previousClientId: previousClientId || null },
+            }));
+            if (isAppConnection) {
+                this.sendQueuedMessages(connection);
+            }
+        } catch (err) {
+            if (this.isPermissionError(err)) {
+                socket.send(JSON.stringify({ action: 'migrateDevice', error: 'Permission denied', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
+            this.log.error(`Error migrating device ${person}.${device}: ${err}`);
+            socket.send(JSON.stringify({ action: 'migrateDevice', error: 'Error migrating device', code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    /**
+     * Lets js-controller check the linked user's rights on an object before an action
+     * starts with side effects that the object's ACL cannot undo, such as unregistering
+     * the device at the relay. Throws `permissionError` when the user may not write it.
+     */
+    async checkObjectWritable(id, options) {
+        if (!options) return;
+        await this.getForeignObjectAsync(id, options);
+        await this.extendForeignObjectAsync(id, {}, options);
+    }
+
+    async deletePerson(person, options) {
+        const base = this.deviceBase(person);
+        const channels = await this.getForeignObjectsAsync(`${base}.*`, 'channel') || {};
+        for (const [id, channel] of Object.entries(channels)) {
+            const device = id.substring(base.length + 1);
+            if (!device.includes('.') && await this.isDeviceChannel(id, device, channel)) {
+                await this.releaseDevice(person, device);
+            }
+        }
+        await this.revokeSessions({ person });
+
+        const personId = this.normalizeObjectSegment(person, 'person');
+        const occupancy = await this.getForeignObjectsAsync(`${this.namespace}.indoor.areas.*.occupancy.${personId}`, 'channel') || {};
+        for (const id of Object.keys(occupancy)) {
+            await this.delForeignObjectAsync(id, { recursive: true, ...options });
+            await this.refreshAreaOccupants(id.split('.')[4], { [personId]: { person, present: false } });
+        }
+
+        await this.delForeignObjectAsync(base, { recursive: true, ...options });
+        this.log.info(`Person ${person} deleted`);
+    }
+
+    /**
+     * Whether a channel directly below a person is an app device. The person's `messages`
+     * channel never is; other channels marked with `native.kind`, such as watches, only
+     * when an app has connected under that name.
+     */
+    async isDeviceChannel(id, device, channel) {
+        const kind = channel && channel.native && channel.native.kind;
+        if (device === 'messages' || kind === 'messages') return false;
+        return !kind || Boolean(await this.getForeignObjectAsync(`${id}.ws_device_id`));
+    }
+
+    async deleteDevice(person, device, options) {
+        await this.releaseDevice(person, device);
+        await this.delForeignObjectAsync(this.deviceBase(person, device), { recursive: true, ...options });
+        this.log.info(`Device ${person}.${device} deleted`);
+    }
+
+    async renameDevice(person, device, targetPerson, targetDevice, options) {
+        const from = this.deviceBase(person, device);
+        const to = this.deviceBase(targetPerson, targetDevice);
+        const area = await this.currentIndoorArea(person, device);
+        if (targetPerson !== person && !await this.getForeignObjectAsync(this.deviceBase(targetPerson))) {
+            await this.setForeignObjectAsync(this.deviceBase(targetPerson), { type: 'channel', common: { name: targetPerson }, native: {} }, options);
+        }
+        await this.copyObjectTree(from, to, options);
+        await this.delForeignObjectAsync(from, { recursive: true, ...options });
+
+        if (area) {
+            const timestamp = new Date().toISOString();
+            await this.setAreaPersonPresence(area.id, area.id, person, device, false, timestamp, 0);
+            await this.setAreaPersonPresence(area.id, area.id, targetPerson, targetDevice, true, timestamp, area.confidence);
+        }
+
+        let sessionsChanged = false;
+        this.sessions.forEach(session => {
+            if (session.person === person && session.device === device) {
+                session.person = targetPerson;
+                session.device = targetDevice;
+                sessionsChanged = true;
+            }
+        });
+        if (sessionsChanged) await this.persistSessions();
+        this.connectionsOfDevice(person, device).forEach(connection => {
+            [connection, connection.session, connection.pairedDevice].filter(Boolean).forEach(holder => {
+                holder.person = targetPerson;
+                holder.device = targetDevice;
+            });
+        });
+
+        await this.registerStoredRelayDevice(targetPerson, targetDevice);
+        this.log.info(`Device ${person}.${device} renamed to ${targetPerson}.${targetDevice}`);
+    }
+
+    async mergeDevices(person, device, targetPerson, targetDevice, options) {
+        const from = this.deviceBase(person, device);
+        const to = this.deviceBase(targetPerson, targetDevice);
+        const targetClientId = await this.deviceClientId(targetPerson, targetDevice);
+        await this.copyObjectTree(from, to, options);
+        await this.releaseDevice(person, device, targetClientId);
+        await this.delForeignObjectAsync(from, { recursive: true, ...options });
+        await this.registerStoredRelayDevice(targetPerson, targetDevice);
+        this.log.info(`Device ${person}.${device} merged into ${targetPerson}.${targetDevice}`);
+    }
+
+    /**
+     * Copies every object below `fromBase` to `toBase`, including `common.custom` so that
+     * history settings move along, and the state values with their original timestamps.
+     * Objects that already exist in the target are kept and only gain the `common.custom`
+     * entries of instances they have no settings for; their value is only replaced by a
+     * newer one from the source.
+     */
+    async copyObjectTree(fromBase, toBase, options) {
+        /** @type {Record<string, any>} */
+        const objects = { ...(await this.getForeignObjectsAsync(`${fromBase}.*`) || {}) };
+        const root = await this.getForeignObjectAsync(fromBase);
+        if (root) objects[fromBase] = root;
+        const states = await this.getForeignStatesAsync(`${fromBase}.*`) || {};
+
+        // Sorted ids create channels before the states below them.
+        for (const id of Object.keys(objects).sort()) {
+            const targetId = `${toBase}${id.substring(fromBase.length)}`;
+            const existing = await this.getForeignObjectAsync(targetId);
+            const custom = objects[id].common && objects[id].common.custom;
+            if (!existing) {
+                const object = { ...objects[id] };
+                delete object._id;
+                if (id === fromBase) {
+                    object.common = { ...object.common, name: toBase.split('.').pop() };
+                }
+                await this.setForeignObjectAsync(targetId, object, options);
+            } else if (custom) {
+                const existingCustom = (existing.common && existing.common.custom) || {};
+                if (Object.keys(custom).some(instance => !(instance in existingCustom))) {
+                    await this.extendForeignObjectAsync(targetId, { common: { custom: { ...custom, ...existingCustom } } }, options);
+                }
+            }
+
+            const state = states[id];
+            if (!state || objects[id].type !== 'state') continue;
+            const current = existing ? await this.getForeignStateAsync(targetId) : null;
+            if (!current || current.ts < state.ts) {
+                await this.setForeignStateAsync(targetId, { val: state.val, ack: state.ack, ts: state.ts }, options);
+            }
+        }
+    }
+
+    async deviceClientId(person, device) {
+        const state = await this.getForeignStateAsync(`${this.deviceBase(person, device)}.ws_device_id`);
+        return state && state.val ? String(state.val) : '';
+    }
+
+    async currentIndoorArea(person, device) {
+        const base = `${this.deviceBase(person, device)}.indoor`;
+        const area = await this.getForeignStateAsync(`${base}.current_area`);
+        if (!area || !area.val) return null;
+        const confidence = await this.getForeignStateAsync(`${base}.confidence`);
+        return { id: String(area.val), confidence: confidence ? Number(confidence.val) || 0 : 0 };
+    }
+
+    connectionsOfDevice(person, device) {
+        const connections = [];
+        (this.wsServer ? this.wsServer.clients : new Set()).forEach(socket => {
+            const identity = this.identityOf(socket);
+            if (identity.person === person && identity.device === device) connections.push(socket);
+        });
+        return connections;
+    }
+
+    /**
+     * Detaches a device before its objects go away: marks it absent in indoor areas,
+     * drops queued messages, unregisters it at the relay unless the client id lives on
+     * in another device, and revokes its sessions and connections.
+     */
+    async releaseDevice(person, device, keepClientId = '') {
+        const clientId = await this.deviceClientId(person, device);
+        const area = await this.currentIndoorArea(person, device);
+        if (area) {
+            await this.updateIndoorOccupancy(person, device, area.id, '', '', new Date().toISOString(), 0);
+        }
+        if (clientId && clientId !== keepClientId) {
+            this.messageQueue.delete(clientId);
+            this.relayLastWakeByDevice.delete(clientId);
+            this.clients.delete(clientId);
+            await this.unregisterRelayDevice(clientId);
         }
+        await this.revokeSessions({ person, device });
+        this.connectionsOfDevice(person, device).forEach(socket => socket.close(4001, 'Device removed'));
     }
 
+    async registerStoredRelayDevice(person, device) {
+        const base = this.deviceBase(person, device);
+        const token = await this.getForeignStateAsync(`${base}.device_token`);
+        const appDeviceId = await this.deviceClientId(person, device);
+        await this.registerRelayDevice({ person, device, appDeviceId, apnsToken: token && token.val ? String(token.val) : '', lastSeenAt: null });
+    }
+
+    /**
+     * Creates the device channel and reconciles its sensor objects with the definitions
+     * the app sends: new sensors are created, changed `type`, `role`, `unit`, `min`/`max`
+     * and `states` are written to existing objects, and sensors the app no longer reports
+     * are marked with `native.deprecated`. Sensor objects carry `native.sensor` so that
+     * they can be told apart from the adapter's own device states.
+     */
     async handlePostDevices(socket, data) {
         const { person, device, sensors } = data; // Expecting sensors as an array of objects
         this.log.debug(`Received request to create device: ${device} for person: ${person} with sensors: ${JSON.stringify(sensors)}`);
@@ -243,63 +760,519 @@ class Iobapp extends utils.Adapter {
                 native: {},
             });
 
-            // Create sensor data objects dynamically
+            const existing = await this.getForeignObjectsAsync(`${basePath}.*`, 'state') || {};
+            /** @type {{ created: string[], updated: { id: string, changes: Record<string, { from: any, to: any }> }[], deprecated: string[], restored: string[] }} */
+            const report = { created: [], updated: [], deprecated: [], restored: [] };
+            const reported = new Set();
+
             for (const sensor of sensors) {
                 const sensorPath = `${basePath}.${sensor.id}`;
-                await this.setObjectNotExistsAsync(sensorPath, {
-                    type: 'state',
-                    common: {
-                        name: sensor.name,
-                        type: sensor.type,
-                        role: sensor.role || 'value',
-                        unit: sensor.unit || '',
-                        read: true,
-                        write: true,
-                        states: sensor.states || undefined
-                    },
-                    native: {},
+                reported.add(sensorPath);
+                const object = existing[sensorPath];
+                if (!object) {
+                    await this.setObjectNotExistsAsync(sensorPath, {
+                        type: 'state',
+                        common: sensorCommon(sensor),
+                        native: { sensor: true },
+                    });
+                    report.created.push(sensor.id);
+                    this.log.debug(`Sensor ${sensor.name} created for device ${device}.`);
+                    continue;
+                }
+
+                const changes = diffSensorCommon(object.common, sensor);
+                const native = object.native || {};
+                if (Object.keys(changes).length === 0 && native.sensor && !native.deprecated) continue;
+
+                const common = {};
+                Object.entries(changes).forEach(([field, change]) => { common[field] = change.to; });
+                await this.extendForeignObjectAsync(sensorPath, {
+                    common,
+                    native: { sensor: true, deprecated: false, deprecatedSince: null },
                 });
-                this.log.debug(`Sensor ${sensor.name} created for device ${device}.`);
+                if (Object.keys(changes).length > 0) report.updated.push({ id: sensor.id, changes });
+                if (native.deprecated) report.restored.push(sensor.id);
+            }
+
+            for (const [id, object] of Object.entries(existing)) {
+                const native = (object && object.native) || {};
+                const sensorId = id.substring(basePath.length + 1);
+                if (!isSensorState(sensorId, native) || native.deprecated || reported.has(id)) continue;
+                await this.extendForeignObjectAsync(id, { native: { sensor: true, deprecated: true, deprecatedSince: new Date().toISOString() } });
+                report.deprecated.push(sensorId);
             }
 
             // Create messages folder
             await this.createAPNObjects(person, device);
 
+            this.logSensorSchemaReport(`${person}.${device}`, report);
             this.log.debug(`Device ${device} created for person ${person}.`);
-            socket.send(JSON.stringify({ action: 'postDevices', success: true }));
+            socket.send(JSON.stringify({ action: 'postDevices', success: true, data: report }));
         } catch (err) {
             this.log.error(`Error creating device ${device} for person ${person}: ${err}`);
-            socket.send(JSON.stringify({ action: 'postDevices', error: `Error creating device ${device} for person ${person}` }));
+            socket.send(JSON.stringify({ action: 'postDevices', error: `Error creating device ${device} for person ${person}`, code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    logSensorSchemaReport(deviceId, report) {
+        if (report.updated.length === 0 && report.deprecated.length === 0 && report.restored.length === 0) {
+            if (report.created.length > 0) this.log.debug(`Sensor schema of ${deviceId}: created ${report.created.join(', ')}`);
+            return;
+        }
+        const lines = [`Sensor schema of ${deviceId} migrated:`];
+        if (report.created.length > 0) lines.push(`created ${report.created.join(', ')}`);
+        report.updated.forEach(({ id, changes }) => {
+            const details = Object.entries(changes)
+                .map(([field, change]) => `${field} ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+            lines.push(`updated ${id} (${details.join(', ')})`);
+        });
+        if (report.restored.length > 0) lines.push(`reported again ${report.restored.join(', ')}`);
+        if (report.deprecated.length > 0) lines.push(`deprecated ${report.deprecated.join(', ')}`);
+        this.log.info(lines.join('; '));
+    }
+
+    /**
+     * Stores typed HealthKit samples under `person.<p>.<d>.health.<type>`. `value`, `start`,
+     * `end` and `source` hold the latest sample and are written with its end time;
+     * `daily.*` holds sum, min, max and average of the latest day, written with the end of
+     * that day's latest sample. The aggregates of the kept days, including the sample
+     * UUIDs used to skip retried samples, are stored in `daily_json`.
+     */
+    async handleHealthSamples(socket, data) {
+        const { person, device } = data;
+        const now = Date.now();
+        /** @type {Map<string, import('./lib/health').HealthSample[]>} */
+        const samplesByType = new Map();
+        const errors = [];
+        data.samples.forEach((sample, index) => {
+            // startDate is required by the schema, so both are numbers or NaN.
+            const start = /** @type {number} */ (parseEventTimestamp(sample.startDate, now));
+            const end = sample.endDate === undefined ? start : /** @type {number} */ (parseEventTimestamp(sample.endDate, now));
+            if (Number.isNaN(start)) errors.push({ field: `data.samples[${index}].startDate`, message: 'must be epoch milliseconds or an ISO 8601 date' });
+            if (Number.isNaN(end)) errors.push({ field: `data.samples[${index}].endDate`, message: 'must be epoch milliseconds or an ISO 8601 date' });
+            const typeId = healthTypeId(sample.type);
+            samplesByType.set(typeId, [...(samplesByType.get(typeId) || []), { ...sample, start, end: Math.max(start, end) }]);
+        });
+        if (errors.length > 0) {
+            socket.send(JSON.stringify({ action: 'healthSamples', error: 'Invalid data', code: ErrorCodes.VALIDATION, errors }));
+            return;
+        }
+
+        try {
+            const options = await this.aclOptionsFor(socket);
+            const result = { accepted: 0, duplicates: 0, expired: 0, types: [...samplesByType.keys()] };
+            for (const [typeId, samples] of samplesByType) {
+                const base = `${this.deviceBase(person, device)}.health.${typeId}`;
+                await this.ensureHealthObjects(base, typeId, samples[0].unit || '', options);
+
+                /** @type {Record<string, import('./lib/health').HealthDay>} */
+                const days = await this.readJsonState(`${base}.daily_json`, options);
+                /** @type {Record<string, number>} */
+                const seen = await this.readJsonState(`${base}.recent_uuids`, options);
+                const { accepted, duplicates, expired, changedDays } = aggregateHealthSamples(days, seen, samples, now);
+                result.accepted += accepted.length;
+                result.duplicates += duplicates;
+                result.expired += expired;
+                if (accepted.length === 0) continue;
+
+                const latest = accepted.reduce((last, sample) => (sample.end > last.end ? sample : last));
+                if (await this.writeEventState(`${base}.value`, latest.value, latest.end, options)) {
+                    await this.setForeignStateAsync(`${base}.start`, { val: new Date(latest.start).toISOString(), ack: true, ts: latest.end }, options);
+                    await this.setForeignStateAsync(`${base}.end`, { val: new Date(latest.end).toISOString(), ack: true, ts: latest.end }, options);
+                    await this.setForeignStateAsync(`${base}.source`, { val: latest.source || '', ack: true, ts: latest.end }, options);
+                }
+
+                // Late samples of an earlier day only update `daily_json`, the states keep the latest day.
+                const day = changedDays[changedDays.length - 1];
+                const aggregate = days[day];
+                if (await this.writeEventState(`${base}.daily.date`, day, aggregate.ts, options)) {
+                    for (const field of ['sum', 'min', 'max', 'avg', 'count']) {
+                        await this.setForeignStateAsync(`${base}.daily.${field}`, { val: aggregate[field], ack: true, ts: aggregate.ts }, options);
+                    }
+                }
+                await this.setForeignStateAsync(`${base}.daily_json`, { val: JSON.stringify(days), ack: true }, options);
+                await this.setForeignStateAsync(`${base}.recent_uuids`, { val: JSON.stringify(seen), ack: true }, options);
+            }
+
+            if (result.duplicates > 0 || result.expired > 0) {
+                this.log.debug(`Health samples for ${person}.${device}: ${result.accepted} accepted, ${result.duplicates} duplicates, ${result.expired} expired`);
+            }
+            socket.send(JSON.stringify({ action: 'healthSamples', success: true, data: result }));
+        } catch (err) {
+            if (this.isPermissionError(err)) {
+                socket.send(JSON.stringify({ action: 'healthSamples', error: 'Permission denied', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
+            this.log.error(`Error storing health samples for ${person}.${device}: ${err}`);
+            socket.send(JSON.stringify({ action: 'healthSamples', error: 'Error storing health samples', code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    async ensureHealthObjects(base, typeId, unit, options) {
+        const unitCommon = unit ? { unit } : {};
+        await this.ensureChannel(base, typeId, options);
+        await this.ensureState(`${base}.value`, 'Latest value', 'number', 'value', false, unitCommon, options);
+        await this.ensureState(`${base}.start`, 'Latest sample start', 'string', 'date', false, {}, options);
+        await this.ensureState(`${base}.end`, 'Latest sample end', 'string', 'date', false, {}, options);
+        await this.ensureState(`${base}.source`, 'Latest sample source', 'string', 'text', false, {}, options);
+        await this.ensureChannel(`${base}.daily`, 'Daily aggregates', options);
+        await this.ensureState(`${base}.daily.date`, 'Day', 'string', 'text', false, {}, options);
+        await this.ensureState(`${base}.daily.sum`, 'Daily sum', 'number', 'value', false, unitCommon, options);
+        await this.ensureState(`${base}.daily.min`, 'Daily minimum', 'number', 'value.min', false, unitCommon, options);
+        await this.ensureState(`${base}.daily.max`, 'Daily maximum', 'number', 'value.max', false, unitCommon, options);
+        await this.ensureState(`${base}.daily.avg`, 'Daily average', 'number', 'value', false, unitCommon, options);
+        await this.ensureState(`${base}.daily.count`, 'Daily sample count', 'number', 'value', false, {}, options);
+        await this.ensureState(`${base}.daily_json`, 'Daily aggregates JSON', 'string', 'json', false, {}, options);
+        await this.ensureState(`${base}.recent_uuids`, 'Recently counted sample UUIDs', 'string', 'json', false, {}, options);
+    }
+
+    /**
+     * Reads a state holding a JSON object. Missing or unreadable values yield an empty object.
+     */
+    async readJsonState(id, options) {
+        const state = await this.getForeignStateAsync(id, options);
+        try {
+            const value = state && state.val ? JSON.parse(String(state.val)) : {};
+            return value && typeof value === 'object' ? value : {};
+        } catch {
+            this.log.warn(`Ignoring unreadable JSON in ${id}`);
+            return {};
+        }
+    }
+
+    /**
+     * Stores a watch snapshot relayed by the paired iPhone in the watch's own device
+     * channel `person.<p>.<watch>`, linked to the phone through `paired_phone` (and back
+     * through the phone's `info.paired_watch`). `person.<p>.wearing_watch` follows a
+     * recent `on_wrist` report and `person.<p>.watch_reachable` whether the phone can
+     * reach the watch. Snapshots older than the last stored one are skipped.
+     */
+    async handleWatchSnapshot(socket, data) {
+        const { person, device } = data;
+        const watch = data.watch || 'watch';
+        if (watch === device) {
+            socket.send(JSON.stringify({
+                action: 'watchSnapshot',
+                error: 'Invalid data',
+                code: ErrorCodes.VALIDATION,
+                errors: [{ field: 'data.watch', message: 'must differ from device' }],
+            }));
+            return;
+        }
+        const ts = parseEventTimestamp(data.ts);
+        if (this.rejectInvalidTimestamp(socket, 'watchSnapshot', ts)) return;
+        const contextTs = ts === undefined ? Date.now() : ts;
+        const base = this.deviceBase(person, watch);
+
+        try {
+            const options = await this.aclOptionsFor(socket);
+            await this.ensureWatchObjects(person, device, watch, data.name || watch, options);
+            if (!await this.writeEventState(`${base}.last_context_update`, new Date(contextTs).toISOString(), contextTs, options)) {
+                this.log.debug(`Skipped stale watch snapshot for ${person}.${watch} from ${new Date(contextTs).toISOString()}`);
+                socket.send(JSON.stringify({ action: 'watchSnapshot', success: true, stale: true }));
+                return;
+            }
+
+            const values = {
+                paired_phone: device,
+                model: data.model,
+                battery: data.battery,
+                charging: data.charging,
+                on_wrist: data.onWrist,
+                reachable: data.reachable,
+            };
+            for (const [state, val] of Object.entries(values)) {
+                if (val === undefined) continue;
+                await this.setForeignStateAsync(`${base}.${state}`, { val, ack: true, ts: contextTs }, options);
+            }
+            await this.setForeignStateAsync(`${this.deviceBase(person, device)}.info.paired_watch`, { val: watch, ack: true, ts: contextTs }, options);
+
+            // A snapshot may omit fields, the stored values fill the gaps.
+            const reachableState = await this.getForeignStateAsync(`${base}.reachable`, options);
+            const reachable = Boolean(reachableState && reachableState.val);
+            await this.setForeignStateAsync(`${this.deviceBase(person)}.watch_reachable`, { val: reachable, ack: true, ts: contextTs }, options);
+            const wearing = await this.updateWearingWatch(person, watch, options);
+
+            socket.send(JSON.stringify({ action: 'watchSnapshot', success: true, data: { person, device: watch, pairedPhone: device, wearing, reachable } }));
+        } catch (err) {
+            if (this.isPermissionError(err)) {
+                socket.send(JSON.stringify({ action: 'watchSnapshot', error: 'Permission denied', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
+            this.log.error(`Error storing watch snapshot for ${person}.${watch}: ${err}`);
+            socket.send(JSON.stringify({ action: 'watchSnapshot', error: 'Error storing watch snapshot', code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    async ensureWatchObjects(person, device, watch, name, options) {
+        const base = this.deviceBase(person, watch);
+        await this.setForeignObjectNotExistsAsync(base, {
+            type: 'channel',
+            common: { name },
+            native: { kind: 'watch', pairedPhone: device },
+        }, options);
+        await this.ensureState(`${base}.paired_phone`, 'Paired phone', 'string', 'text', false, {}, options);
+        await this.ensureState(`${base}.model`, 'Model', 'string', 'text', false, {}, options);
+        await this.ensureState(`${base}.battery`, 'Battery level', 'number', 'value.battery', false, { unit: '%', min: 0, max: 100 }, options);
+        await this.ensureState(`${base}.charging`, 'Charging', 'boolean', 'indicator', false, {}, options);
+        await this.ensureState(`${base}.on_wrist`, 'On wrist', 'boolean', 'indicator', false, {}, options);
+        await this.ensureState(`${base}.reachable`, 'Reachable from the phone', 'boolean', 'indicator.reachable', false, {}, options);
+        await this.ensureState(`${base}.last_context_update`, 'Last context update', 'string', 'date', false, {}, options);
+        await this.ensureState(`${this.deviceBase(person, device)}.info.paired_watch`, 'Paired watch', 'string', 'text', false, {}, options);
+        await this.ensureState(`${this.deviceBase(person)}.wearing_watch`, 'Wears watch', 'boolean', 'indicator', false, {}, options);
+        await this.ensureState(`${this.deviceBase(person)}.watch_reachable`, 'Watch reachable', 'boolean', 'indicator.reachable', false, {}, options);
+    }
+
+    /**
+     * Sets `person.<p>.wearing_watch` from the stored `on_wrist` reports, each of which
+     * counts for `WATCH_ON_WRIST_FRESH_MS`. Every watch worn right now has a timer that
+     * re-evaluates it once its report gets old, so the person wears a watch as long as
+     * one of their timers is pending.
+     */
+    async updateWearingWatch(person, watch, options) {
+        const key = `${person}.${watch}`;
+        const onWrist = await this.getForeignStateAsync(`${this.deviceBase(person, watch)}.on_wrist`, options);
+        const remainingMs = onWrist && onWrist.val === true ? onWrist.ts + WATCH_ON_WRIST_FRESH_MS - Date.now() : 0;
+        clearTimeout(this.wearingWatchTimers.get(key));
+        this.wearingWatchTimers.delete(key);
+        if (remainingMs > 0) {
+            this.wearingWatchTimers.set(key, setTimeout(() => {
+                this.wearingWatchTimers.delete(key);
+                this.updateWearingWatch(person, watch, options)
+                    .catch(err => this.log.warn(`Could not update wearing_watch for ${person}: ${err.message}`));
+            }, remainingMs));
+        }
+        const wearing = Array.from(this.wearingWatchTimers.keys()).some(id => id.startsWith(`${person}.`));
+        await this.setForeignStateAsync(`${this.deviceBase(person)}.wearing_watch`, { val: wearing, ack: true }, options);
+        return wearing;
+    }
+
+    /**
+     * Feeds battery level and charging reports from `person.<p>.<d>.sensors.*` into the
+     * device's battery analytics and writes the derived values to `battery.*`. The
+     * sensor value itself is already stored, so failures are only logged. Reports of one
+     * device are applied one after another, so none of them is lost to a concurrent
+     * read-modify-write of `analytics_json`.
+     *
+     * @param {string} path
+     * @param {ioBroker.StateValue} value
+     * @param {number} ts
+     * @param {{ user: string }} [options] ACL options of the linked ioBroker user
+     */
+    async trackBatterySensor(path, value, ts, options) {
+        const match = String(path).match(/^person\.([^.]+)\.([^.]+)\.sensors\.([^.]+)$/);
+        if (!match) return;
+        const [, person, device, sensor] = match;
+        const isLevel = LEVEL_SENSORS.includes(sensor);
+        if (!isLevel && !CHARGING_SENSORS.includes(sensor)) return;
+        const level = Number(value);
+        if (isLevel && !Number.isFinite(level)) return;
+
+        const base = `${this.deviceBase(person, device)}.battery`;
+        const previous = this.batteryUpdates.get(base) || Promise.resolve();
+        const update = previous.then(() => this.applyBatterySensor(`${person}.${device}`, base, isLevel ? level : parseCharging(value), ts, options));
+        this.batteryUpdates.set(base, update);
+        try {
+            await update;
+        } finally {
+            if (this.batteryUpdates.get(base) === update) this.batteryUpdates.delete(base);
         }
     }
 
+    /**
+     * Applies one battery report to the analytics stored in `analytics_json`.
+     *
+     * @param {string} deviceId `<person>.<device>` for log messages
+     * @param {string} base Id of the device's `battery` channel
+     * @param {number | boolean} report Battery level, or the charging state
+     * @param {number} ts
+     * @param {{ user: string }} [options]
+     */
+    async applyBatterySensor(deviceId, base, report, ts, options) {
+        try {
+            await this.ensureBatteryObjects(base, options);
+            const stored = await this.getForeignStateAsync(`${base}.analytics_json`, options);
+            let tracker = createBatteryTracker();
+            try {
+                if (stored && stored.val) tracker = { ...tracker, ...JSON.parse(String(stored.val)) };
+            } catch {
+                this.log.warn(`Resetting unreadable battery analytics in ${base}.analytics_json`);
+            }
+            const plugState = await this.getForeignStateAsync(`${base}.plug_state_id`, options);
+            const plugId = plugState && plugState.val ? String(plugState.val) : '';
+            const targetState = await this.getForeignStateAsync(`${base}.plug_target_level`, options);
+            const limits = {
+                lowLevel: Number(this.config.batteryLowLevel || 20),
+                targetLevel: plugId ? Number(targetState && targetState.val) || 80 : undefined,
+            };
+
+            const events = typeof report === 'number'
+                ? applyBatteryLevel(tracker, ts, report, limits)
+                : applyCharging(tracker, ts, report);
+            const estimates = batteryEstimates(tracker);
+            const values = {
+                charging: tracker.charging,
+                discharge_rate: tracker.dischargeRate,
+                charge_rate: tracker.chargeRate,
+                time_to_empty: estimates.timeToEmpty,
+                time_to_full: estimates.timeToFull,
+                health_trend: estimates.healthTrend,
+                low_battery: tracker.low,
+                session_active: Boolean(tracker.session),
+                analytics_json: JSON.stringify(tracker),
+            };
+            for (const [state, val] of Object.entries(values)) {
+                await this.setForeignStateAsync(`${base}.${state}`, { val, ack: true, ts }, options);
+            }
+            for (const event of events) {
+                await this.handleBatteryEvent(deviceId, base, event, plugId, ts, options);
+            }
+        } catch (err) {
+            this.log.warn(`Battery analytics for ${deviceId} failed: ${err}`);
+        }
+    }
+
+    /**
+     * @param {string} deviceId `<person>.<device>` for log messages
+     * @param {string} base Id of the device's `battery` channel
+     * @param {import('./lib/battery').BatteryEvent} event
+     * @param {string} plugId Smart plug state to switch off at the target level, empty if none
+     * @param {number} ts
+     * @param {{ user: string }} [options] ACL options of the linked ioBroker user, also for the plug
+     */
+    async handleBatteryEvent(deviceId, base, event, plugId, ts, options) {
+        const time = new Date(ts).toISOString();
+        if (event.type === 'sessionStart') {
+            await this.setForeignStateAsync(`${base}.session_start`, { val: time, ack: true, ts }, options);
+        } else if (event.type === 'sessionEnd') {
+            const { session } = event;
+            await this.setForeignStateAsync(`${base}.session_end`, { val: time, ack: true, ts }, options);
+            await this.setForeignStateAsync(`${base}.session_duration`, { val: session.durationMinutes, ack: true, ts }, options);
+            await this.setForeignStateAsync(`${base}.session_energy`, { val: session.energyPercent, ack: true, ts }, options);
+            this.log.info(`Charge session of ${deviceId} ended after ${session.durationMinutes} min: ${session.startLevel}% → ${session.endLevel}%`);
+        } else if (event.type === 'lowBattery') {
+            await this.setForeignStateAsync(`${base}.last_low_event`, { val: time, ack: true, ts }, options);
+            this.log.info(`Battery of ${deviceId} is low (${event.level}%)`);
+        } else if (event.type === 'targetReached' && plugId) {
+            await this.setForeignStateAsync(plugId, false, options);
+            await this.setForeignStateAsync(`${base}.plug_switched_off`, { val: time, ack: true, ts }, options);
+            this.log.info(`Switched off ${plugId}: ${deviceId} reached ${event.level}%`);
+        }
+    }
+
+    async ensureBatteryObjects(base, options) {
+        if (this.batteryObjects.has(base)) return;
+        await this.ensureChannel(base, 'Battery analytics', options);
+        await this.ensureState(`${base}.charging`, 'Charging', 'boolean', 'indicator', false, {}, options);
+        await this.ensureState(`${base}.discharge_rate`, 'Discharge rate', 'number', 'value', false, { unit: '%/h' }, options);
+        await this.ensureState(`${base}.charge_rate`, 'Charge rate', 'number', 'value', false, { unit: '%/h' }, options);
+        await this.ensureState(`${base}.time_to_empty`, 'Estimated time to empty', 'number', 'value', false, { unit: 'min' }, options);
+        await this.ensureState(`${base}.time_to_full`, 'Estimated time to full', 'number', 'value', false, { unit: 'min' }, options);
+        await this.ensureState(`${base}.health_trend`, 'Discharge rate trend', 'number', 'value', false, { unit: '%' }, options);
+        await this.ensureState(`${base}.low_battery`, 'Low battery', 'boolean', 'indicator.lowbat', false, {}, options);
+        await this.ensureState(`${base}.last_low_event`, 'Last low battery event', 'string', 'date', false, {}, options);
+        await this.ensureState(`${base}.session_active`, 'Charge session active', 'boolean', 'indicator', false, {}, options);
+        await this.ensureState(`${base}.session_start`, 'Charge session start', 'string', 'date', false, {}, options);
+        await this.ensureState(`${base}.session_end`, 'Last charge session end', 'string', 'date', false, {}, options);
+        await this.ensureState(`${base}.session_duration`, 'Last charge session duration', 'number', 'value', false, { unit: 'min' }, options);
+        await this.ensureState(`${base}.session_energy`, 'Last charge session energy', 'number', 'value', false, { unit: '%' }, options);
+        await this.ensureState(`${base}.plug_state_id`, 'Smart plug state to switch off', 'string', 'text', true, {}, options);
+        await this.ensureState(`${base}.plug_target_level`, 'Switch off smart plug at level', 'number', 'level', true, { unit: '%', min: 1, max: 100, def: 80 }, options);
+        await this.ensureState(`${base}.plug_switched_off`, 'Smart plug switched off', 'string', 'date', false, {}, options);
+        await this.ensureState(`${base}.analytics_json`, 'Battery analytics JSON', 'string', 'json', false, {}, options);
+        this.batteryObjects.add(base);
+    }
+
     async handleSet(socket, data) {
         const { path, value } = data;
         this.log.debug(`Received request to set value for path: ${path} to ${value}`);
+        if (this.isReservedPath(path)) {
+            this.log.warn(`Rejected set for reserved path ${path}`);
+            socket.send(JSON.stringify({ action: 'set', error: `Path ${path} is reserved`, code: ErrorCodes.FORBIDDEN }));
+            return;
+        }
+        const ts = parseEventTimestamp(data.ts);
+        if (this.rejectInvalidTimestamp(socket, 'set', ts)) return;
         try {
             const fullPath = `${this.namespace}.${path}`;
-            await this.ensureStateObject(fullPath, value);
-            await this.setForeignStateAsync(fullPath, { val: value, ack: true });
+            const options = await this.aclOptionsFor(socket);
+            await this.ensureStateObject(fullPath, value, socket.knownStateObjects, options);
+            if (!await this.writeEventState(fullPath, value, ts, options)) {
+                this.log.debug(`Skipped stale value for path ${path} from ${new Date(Number(ts)).toISOString()}`);
+                socket.send(JSON.stringify({ action: 'set', success: true, stale: true }));
+                return;
+            }
             this.log.debug(`Value for path ${path} set to ${value}`);
             socket.send(JSON.stringify({ action: 'set', success: true }));
+            await this.trackBatterySensor(path, value, ts === undefined ? Date.now() : ts, options);
         } catch (err) {
+            if (this.isPermissionError(err)) {
+                this.log.warn(`Permission denied setting ${path}`);
+                socket.send(JSON.stringify({ action: 'set', error: 'Permission denied', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
             this.log.error(`Error setting value for path ${path}: ${err}`);
-            socket.send(JSON.stringify({ action: 'set', error: `Error setting value for path ${path}` }));
+            socket.send(JSON.stringify({ action: 'set', error: `Error setting value for path ${path}`, code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    /**
+     * Writes a value reported by the app. With the event's original timestamp the value
+     * is written with that `ts`, so history adapters store it at the time it happened;
+     * an event older than the current value is skipped.
+     *
+     * @param {string} id
+     * @param {ioBroker.StateValue} val
+     * @param {number} [ts] Original event time in epoch milliseconds
+     * @param {{ user: string }} [options] ACL options of the linked ioBroker user
+     * @returns {Promise<boolean>} false when the event was stale and not written
+     */
+    async writeEventState(id, val, ts, options) {
+        if (ts === undefined) {
+            await this.setForeignStateAsync(id, { val, ack: true }, options);
+            return true;
         }
+        const current = await this.getForeignStateAsync(id, options);
+        if (current && current.ts > ts) return false;
+        await this.setForeignStateAsync(id, { val, ack: true, ts }, options);
+        return true;
+    }
+
+    rejectInvalidTimestamp(socket, action, ts) {
+        if (!Number.isNaN(ts)) return false;
+        socket.send(JSON.stringify({
+            action,
+            error: 'Invalid data',
+            code: ErrorCodes.VALIDATION,
+            errors: [{ field: 'data.ts', message: 'must be epoch milliseconds or an ISO 8601 date' }],
+        }));
+        return true;
     }
 
-    async ensureStateObject(id, value) {
-        const existing = await this.getForeignObjectAsync(id);
-        if (existing) return;
+    /**
+     * @param {string} id
+     * @param {unknown} value
+     * @param {Set<string>} [knownObjects] Ids already checked in this batch
+     * @param {{ user: string }} [options] ACL options of the linked ioBroker user
+     */
+    async ensureStateObject(id, value, knownObjects, options) {
+        if (knownObjects && knownObjects.has(id)) return;
+        const existing = await this.getForeignObjectAsync(id, options);
+        if (existing) {
+            if (knownObjects) knownObjects.add(id);
+            return;
+        }
 
         const segments = id.split('.');
         for (let index = 2; index < segments.length - 1; index++) {
             const channelId = segments.slice(0, index + 1).join('.');
+            if (knownObjects && knownObjects.has(channelId)) continue;
             await this.setObjectNotExistsAsync(channelId, {
                 type: 'channel',
                 common: { name: segments[index] },
                 native: {},
-            });
+            }, options);
+            if (knownObjects) knownObjects.add(channelId);
         }
 
         const valueType = typeof value === 'number' ? 'number' : typeof value === 'boolean' ? 'boolean' : 'string';
@@ -313,12 +1286,16 @@ class Iobapp extends utils.Adapter {
                 write: true,
             },
             native: {},
-        });
+        }, options);
+        if (knownObjects) knownObjects.add(id);
     }
 
     async handleSetPresence(socket, data) {
         const { locationName, person, presence, distance } = data;
         this.log.debug(`Received request to set presence for zone: ${locationName}, person: ${person} with presence: ${presence} and distance: ${distance}`);
+        const ts = parseEventTimestamp(data.ts);
+        if (this.rejectInvalidTimestamp(socket, 'setPresence', ts)) return;
+        let stale = false;
 
         if (presence !== undefined) {
             const pathPresence = `${this.namespace}.zones.${locationName}.${person}`;
@@ -335,11 +1312,14 @@ class Iobapp extends utils.Adapter {
                     native: {},
                 });
 
-                await this.setStateAsync(pathPresence, { val: presence, ack: true });
-                this.log.debug(`Presence for ${person} in ${locationName} set to ${presence}`);
+                if (await this.writeEventState(pathPresence, presence, ts)) {
+                    this.log.debug(`Presence for ${person} in ${locationName} set to ${presence}`);
+                } else {
+                    stale = true;
+                }
             } catch (err) {
                 this.log.error(`Error setting presence for ${person} in ${locationName}: ${err}`);
-                socket.send(JSON.stringify({ action: 'setPresence', error: `Error setting presence for ${person} in ${locationName}` }));
+                socket.send(JSON.stringify({ action: 'setPresence', error: `Error setting presence for ${person} in ${locationName}`, code: ErrorCodes.INTERNAL }));
                 return;
             }
         }
@@ -359,16 +1339,19 @@ class Iobapp extends utils.Adapter {
                     native: {},
                 });
 
-                await this.setStateAsync(pathDistance, { val: distance, ack: true });
-                this.log.debug(`Distance for ${person} in ${locationName} set to ${distance}`);
+                if (await this.writeEventState(pathDistance, distance, ts)) {
+                    this.log.debug(`Distance for ${person} in ${locationName} set to ${distance}`);
+                } else {
+                    stale = true;
+                }
             } catch (err) {
                 this.log.error(`Error setting distance for ${person} in ${locationName}: ${err}`);
-                socket.send(JSON.stringify({ action: 'setPresence', error: `Error setting distance for ${person} in ${locationName}` }));
+                socket.send(JSON.stringify({ action: 'setPresence', error: `Error setting distance for ${person} in ${locationName}`, code: ErrorCodes.INTERNAL }));
                 return;
             }
         }
 
-        socket.send(JSON.stringify({ action: 'setPresence', success: true }));
+        socket.send(JSON.stringify(stale ? { action: 'setPresence', success: true, stale } : { action: 'setPresence', success: true }));
     }
 
     async handleGetZones(socket) {
@@ -391,7 +1374,7 @@ class Iobapp extends utils.Adapter {
             socket.send(JSON.stringify({ action: 'getZones', data: zonesArray }));
         } catch (err) {
             this.log.error(`Error getting zones: ${err}`);
-            socket.send(JSON.stringify({ action: 'getZones', error: 'Error getting zones' }));
+            socket.send(JSON.stringify({ action: 'getZones', error: 'Error getting zones', code: ErrorCodes.INTERNAL }));
         }
     }
 
@@ -400,24 +1383,32 @@ class Iobapp extends utils.Adapter {
         const normalizedTagId = this.normalizeTagId(tagId);
         this.log.debug(`Received tagsTrigger for tag ID: ${tagId}`);
         const tagPath = `${this.namespace}.tags.${normalizedTagId}`;
+        const ts = parseEventTimestamp(data.ts);
+        if (this.rejectInvalidTimestamp(socket, 'tagsTrigger', ts)) return;
 
         try {
             const tagObj = await this.getForeignObjectAsync(tagPath);
             if (tagObj) {
                 this.log.debug(`Tag ${normalizedTagId} found in ioBroker`);
-                await this.setStateAsync(tagPath, true, true);
+                if (ts === undefined) {
+                    await this.setStateAsync(tagPath, true, true);
+                } else if (!await this.writeEventState(tagPath, true, ts)) {
+                    socket.send(JSON.stringify({ action: 'tagsTrigger', success: true, stale: true }));
+                    return;
+                }
                 setTimeout(async () => {
-                    await this.setStateAsync(tagPath, false, true);
+                    // A replayed scan is reset relative to its original time.
+                    await this.setStateAsync(tagPath, ts === undefined ? false : { val: false, ts: ts + 1000 }, true);
                     this.log.debug(`Tag ${normalizedTagId} set to false`);
                 }, 1000); // 1 Sekunde Verzögerung, um den Zustand zurückzusetzen
                 socket.send(JSON.stringify({ action: 'tagsTrigger', success: true }));
             } else {
                 this.log.debug(`Tag ${normalizedTagId} not found in ioBroker`);
-                socket.send(JSON.stringify({ action: 'tagsTrigger', error: 'missing tag' }));
+                socket.send(JSON.stringify({ action: 'tagsTrigger', error: 'missing tag', code: ErrorCodes.NOT_FOUND }));
             }
         } catch (err) {
             this.log.error(`Error handling tagsTrigger for tag ID ${normalizedTagId}: ${err}`);
-            socket.send(JSON.stringify({ action: 'tagsTrigger', error: `Error handling tagsTrigger for tag ID ${normalizedTagId}` }));
+            socket.send(JSON.stringify({ action: 'tagsTrigger', error: `Error handling tagsTrigger for tag ID ${normalizedTagId}`, code: ErrorCodes.INTERNAL }));
         }
     }
 
@@ -448,7 +1439,7 @@ class Iobapp extends utils.Adapter {
             socket.send(JSON.stringify({ action: 'createTag', success: true, data: { tagId: normalizedTagId } }));
         } catch (err) {
             this.log.error(`Error creating tag ${normalizedTagId}: ${err}`);
-            socket.send(JSON.stringify({ action: 'createTag', error: `Error creating tag ${normalizedTagId}` }));
+            socket.send(JSON.stringify({ action: 'createTag', error: `Error creating tag ${normalizedTagId}`, code: ErrorCodes.INTERNAL }));
         }
     }
 
@@ -486,7 +1477,7 @@ class Iobapp extends utils.Adapter {
         return String(name);
     }
 
-    async ensureState(id, name, type, role, write = false, common = {}) {
+    async ensureState(id, name, type, role, write = false, common = {}, options) {
         await this.setObjectNotExistsAsync(id, {
             type: 'state',
             common: {
@@ -498,17 +1489,17 @@ class Iobapp extends utils.Adapter {
                 ...common,
             },
             native: {},
-        });
+        }, options);
     }
 
-    async ensureChannel(id, name) {
+    async ensureChannel(id, name, options) {
         await this.setObjectNotExistsAsync(id, {
             type: 'channel',
             common: {
                 name,
             },
             native: {},
-        });
+        }, options);
     }
 
     async handleGetIndoorRooms(socket) {
@@ -532,7 +1523,7 @@ class Iobapp extends utils.Adapter {
             socket.send(JSON.stringify({ action: 'getIndoorRooms', data: { rooms } }));
         } catch (err) {
             this.log.error(`Error getting indoor rooms: ${err}`);
-            socket.send(JSON.stringify({ action: 'getIndoorRooms', error: 'Error getting indoor rooms' }));
+            socket.send(JSON.stringify({ action: 'getIndoorRooms', error: 'Error getting indoor rooms', code: ErrorCodes.INTERNAL }));
         }
     }
 
@@ -830,7 +1821,7 @@ class Iobapp extends utils.Adapter {
             }));
         } catch (err) {
             this.log.error(`Error setting indoor beacon classification: ${err}`);
-            socket.send(JSON.stringify({ action: 'setIndoorBeaconClassification', error: 'Error setting indoor beacon classification' }));
+            socket.send(JSON.stringify({ action: 'setIndoorBeaconClassification', error: 'Error setting indoor beacon classification', code: ErrorCodes.INTERNAL }));
         }
     }
 
@@ -867,7 +1858,7 @@ class Iobapp extends utils.Adapter {
             }));
         } catch (err) {
             this.log.error(`Error setting indoor area beacon mode: ${err}`);
-            socket.send(JSON.stringify({ action: 'setIndoorAreaBeaconMode', error: 'Error setting indoor area beacon mode' }));
+            socket.send(JSON.stringify({ action: 'setIndoorAreaBeaconMode', error: 'Error setting indoor area beacon mode', code: ErrorCodes.INTERNAL }));
         }
     }
 
@@ -1070,32 +2061,80 @@ class Iobapp extends utils.Adapter {
             }));
         } catch (err) {
             this.log.error(`Error handling indoor beacon scan: ${err}`);
-            socket.send(JSON.stringify({ action: 'indoorBeaconScan', error: 'Error handling indoor beacon scan' }));
+            socket.send(JSON.stringify({ action: 'indoorBeaconScan', error: 'Error handling indoor beacon scan', code: ErrorCodes.INTERNAL }));
         }
     }
 
-    handleHello(socket) {
+    /**
+     * Announces protocol version and capabilities. A client that lists `msgpack` in
+     * `data.encodings` receives every frame after this reply as MessagePack; the reply
+     * itself still uses the previous encoding. Since protocol v3 the client declares
+     * its own capabilities, which decide what is pushed to it afterwards.
+     */
+    async handleHello(socket, data) {
+        if (data && this.conflictsWithVerifiedIdentity(socket, data.person, data.device)) {
+            socket.send(JSON.stringify({ action: 'hello', error: 'Person or device does not match the authenticated device', code: ErrorCodes.FORBIDDEN }));
+            return;
+        }
+        const encodings = data && Array.isArray(data.encodings) ? data.encodings : [];
+        const encoding = encodings.includes('msgpack') ? 'msgpack' : 'json';
+        const clientCapabilities = parseClientCapabilities(data);
         socket.send(JSON.stringify({
             action: 'hello',
             data: {
-                protocolVersion: 2,
+                protocolVersion: PROTOCOL_VERSION,
                 adapterVersion: this.version || 'unknown',
+                encoding,
                 capabilities: [
+                    'msgpack',
+                    ...(this.config.wsCompression === false ? [] : ['permessageDeflate']),
+                    'clientCapabilities',
+                    'requestIds',
+                    'errorCodes',
+                    'batch',
+                    'stateSubscriptions',
+                    'stateControl',
+                    'restApi',
+                    'webhooks',
+                    'gracefulShutdown',
+                    'sessionTokens',
+                    'devicePairing',
+                    'deviceManagement',
+                    'deviceMigration',
                     'getActionCatalog',
                     'executeAction',
                     'requestSensorRefresh',
                     'notificationCommands',
                     'diagnostics',
                     'silentPushWake',
-                    'indoorPositioning'
+                    'indoorPositioning',
+                    'healthSamples',
+                    'watchDevices'
                 ],
                 supportedActions: [
+                    'login',
+                    'logout',
+                    'refreshToken',
+                    'pairDevice',
+                    'batch',
+                    'subscribeStates',
+                    'unsubscribeStates',
+                    'stateChange',
+                    'controlState',
+                    'serverShutdown',
                     'setDeviceToken',
                     'onlineState',
                     'getPersons',
                     'getDevices',
                     'postPersons',
                     'postDevices',
+                    'deletePerson',
+                    'deleteDevice',
+                    'renameDevice',
+                    'mergeDevices',
+                    'migrateDevice',
+                    'healthSamples',
+                    'watchSnapshot',
                     'set',
                     'setPresence',
                     'notification',
@@ -1114,11 +2153,51 @@ class Iobapp extends utils.Adapter {
                 ]
             }
         }));
-    }
+        const connection = this.connectionOf(socket);
+        connection.encoding = encoding;
+        if (!clientCapabilities) return;
 
-    async handleGetActionCatalog(socket) {
+        connection.clientCapabilities = clientCapabilities;
         try {
-            const objects = await this.getForeignObjectsAsync(`${this.namespace}.tags.*`, 'state');
+            await this.storeClientInfo(connection);
+        } catch (err) {
+            this.log.warn(`Could not store client info: ${err.message}`);
+        }
+    }
+
+    /**
+     * Writes the capabilities declared in `hello` below `person.<p>.<d>.info`, with the
+     * rights of the linked ioBroker user. Does nothing until the connection proved a
+     * device or registered one with `setDeviceToken`; person and device named in
+     * `hello` itself are ignored.
+     */
+    async storeClientInfo(connection) {
+        const client = connection.clientCapabilities;
+        const verified = this.verifiedIdentityOf(connection);
+        const { person, device } = verified.person ? verified : { person: connection.person || '', device: connection.device || '' };
+        if (!client || !person || !device || !/^[^.*?]+$/.test(`${person}${device}`)) return;
+
+        const options = await this.aclOptionsFor(connection);
+        const base = `${this.namespace}.person.${person}.${device}.info`;
+        await this.ensureChannel(base, 'Client info', options);
+        await this.ensureState(`${base}.app_version`, 'App version', 'string', 'text', false, {}, options);
+        await this.ensureState(`${base}.protocol_version`, 'Protocol version', 'number', 'value', false, {}, options);
+        await this.ensureState(`${base}.capabilities`, 'Client capabilities', 'string', 'json', false, {}, options);
+        await this.ensureState(`${base}.notification_commands`, 'Supported notification commands', 'string', 'json', false, {}, options);
+        await this.ensureState(`${base}.payload_fields`, 'Supported payload fields', 'string', 'json', false, {}, options);
+        await this.ensureState(`${base}.last_hello`, 'Last hello', 'string', 'date', false, {}, options);
+
+        await this.setStateAsync(`${base}.app_version`, client.appVersion, true, options);
+        await this.setStateAsync(`${base}.protocol_version`, client.protocolVersion, true, options);
+        await this.setStateAsync(`${base}.capabilities`, JSON.stringify(client.capabilities), true, options);
+        await this.setStateAsync(`${base}.notification_commands`, JSON.stringify(client.notificationCommands), true, options);
+        await this.setStateAsync(`${base}.payload_fields`, JSON.stringify(client.payloadFields), true, options);
+        await this.setStateAsync(`${base}.last_hello`, new Date().toISOString(), true, options);
+    }
+
+    async handleGetActionCatalog(socket) {
+        try {
+            const objects = await this.getForeignObjectsAsync(`${this.namespace}.tags.*`, 'state');
             const tagActions = Object.entries(objects || {}).map(([id, object]) => {
                 const tagId = id.split('.').pop();
                 return {
@@ -1168,19 +2247,20 @@ class Iobapp extends utils.Adapter {
                             type: 'notificationCommand'
                         },
                         ...tagActions
-                    ]
+                    ].filter(action => action.type !== 'notificationCommand'
+                        || isCommandSupported(this.connectionOf(socket).clientCapabilities, action.id))
                 }
             }));
         } catch (err) {
             this.log.error(`Error getting action catalog: ${err}`);
-            socket.send(JSON.stringify({ action: 'getActionCatalog', error: 'Error getting action catalog' }));
+            socket.send(JSON.stringify({ action: 'getActionCatalog', error: 'Error getting action catalog', code: ErrorCodes.INTERNAL }));
         }
     }
 
     async handleExecuteAction(socket, data) {
         const { actionId, payload } = data || {};
         if (!actionId) {
-            socket.send(JSON.stringify({ action: 'executeAction', error: 'Missing actionId' }));
+            socket.send(JSON.stringify({ action: 'executeAction', error: 'Missing actionId', code: ErrorCodes.VALIDATION }));
             return;
         }
 
@@ -1190,7 +2270,7 @@ class Iobapp extends utils.Adapter {
             try {
                 const tagObj = await this.getForeignObjectAsync(tagPath);
                 if (!tagObj) {
-                    socket.send(JSON.stringify({ action: 'executeAction', error: 'missing tag' }));
+                    socket.send(JSON.stringify({ action: 'executeAction', error: 'missing tag', code: ErrorCodes.NOT_FOUND }));
                     return;
                 }
                 await this.setStateAsync(tagPath, true, true);
@@ -1200,7 +2280,7 @@ class Iobapp extends utils.Adapter {
                 socket.send(JSON.stringify({ action: 'executeAction', success: true, data: { actionId } }));
             } catch (err) {
                 this.log.error(`Error executing action ${actionId}: ${err}`);
-                socket.send(JSON.stringify({ action: 'executeAction', error: `Error executing action ${actionId}` }));
+                socket.send(JSON.stringify({ action: 'executeAction', error: `Error executing action ${actionId}`, code: ErrorCodes.INTERNAL }));
             }
             return;
         }
@@ -1220,12 +2300,16 @@ class Iobapp extends utils.Adapter {
             'request_indoor_scan'
         ]);
         if (notificationCommands.has(actionId)) {
+            if (!isCommandSupported(this.connectionOf(socket).clientCapabilities, actionId)) {
+                socket.send(JSON.stringify({ action: 'executeAction', error: `Command ${actionId} not supported by this client`, code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
             socket.send(JSON.stringify({ action: 'notificationCommand', data: { command: actionId, payload: payload || {} } }));
             socket.send(JSON.stringify({ action: 'executeAction', success: true, data: { actionId } }));
             return;
         }
 
-        socket.send(JSON.stringify({ action: 'executeAction', error: `Unknown actionId ${actionId}` }));
+        socket.send(JSON.stringify({ action: 'executeAction', error: `Unknown actionId ${actionId}`, code: ErrorCodes.NOT_FOUND }));
     }
 
     handleRequestSensorRefresh(socket) {
@@ -1280,6 +2364,16 @@ class Iobapp extends utils.Adapter {
         }
     }
 
+    async unregisterRelayDevice(appDeviceId) {
+        if (!this.isRelayEnabled() || !appDeviceId) return;
+        try {
+            await this.relayRequest(`/api/v1/devices/${encodeURIComponent(appDeviceId)}`, { method: 'DELETE' });
+            this.log.debug(`Unregistered relay device ${appDeviceId}`);
+        } catch (err) {
+            this.log.warn(`Relay device removal failed for ${appDeviceId}: ${err.message}`);
+        }
+    }
+
     async wakeRelayDevice(appDeviceId, reason) {
         if (!this.isRelayEnabled() || !appDeviceId) return false;
         const minWakeIntervalMinutes = Number(this.config.minWakeIntervalMinutes || 10);
@@ -1439,332 +2533,1313 @@ class Iobapp extends utils.Adapter {
         }
     }
 
-    initializeWebSocket(wsPort) {
-        this.wsServer = new WebSocket.Server({ port: wsPort });
+    async loadWebSocketCertificates() {
+        const [certificates] = await this.getCertificatesAsync(
+            this.config.wsCertPublic || undefined,
+            this.config.wsCertPrivate || undefined,
+            this.config.wsCertChained || undefined
+        );
+        if (!certificates || !certificates.key || !certificates.cert) {
+            throw new Error('Selected certificates are missing in system.certificates');
+        }
+        return certificates;
+    }
+
+    async reloadWebSocketCertificates() {
+        const server = /** @type {import('https').Server} */ (this.server);
+        if (!server || typeof server.setSecureContext !== 'function') return;
+        try {
+            const certificates = await this.loadWebSocketCertificates();
+            server.setSecureContext(certificates);
+            this.log.info('WebSocket TLS certificates reloaded.');
+        } catch (err) {
+            this.log.error(`Could not reload WebSocket TLS certificates, keeping the previous ones: ${err.message}`);
+        }
+    }
+
+    async initializeWebSocket(wsPort) {
+        if (this.config.wsSecure) {
+            try {
+                const certificates = await this.loadWebSocketCertificates();
+                this.server = https.createServer(certificates, this.app);
+                await this.subscribeForeignObjectsAsync('system.certificates');
+            } catch (err) {
+                this.log.error(`WebSocket TLS is enabled but the certificates could not be loaded: ${err.message}`);
+                return;
+            }
+        } else {
+            this.server = http.createServer(this.app);
+        }
+        this.wsServer = new WebSocket.Server({
+            server: this.server,
+            // Compress larger frames such as indoor scan candidate lists; small frames are not worth the CPU.
+            perMessageDeflate: this.config.wsCompression === false ? false : { threshold: 1024 },
+        });
         this.clients = new Map(); // Store clients with their IDs
 
-        this.wsServer.on('connection', (socket) => {
-            this.log.info('WebSocket connection established.');
+        this.wsServer.on('connection', (socket, request) => {
+            socket.remoteAddress = this.requestAddress(request);
+            this.log.info(`WebSocket connection established from ${socket.remoteAddress || 'unknown address'}.`);
+            socket.lastPongAt = Date.now();
+            socket.connectionId = ++this.connectionCounter;
+            socket.connectedAt = socket.lastPongAt;
+            socket.lastActivityAt = socket.lastPongAt;
+            socket.messagesIn = 0;
+            socket.messagesOut = 0;
+            this.scheduleClientRegistryUpdate();
+
+            socket.on('pong', () => {
+                socket.lastPongAt = Date.now();
+            });
 
-            socket.on('message', (message) => {
-                this.log.info(`Received message: ${message}`);
-                this.handleWebSocketMessage(socket, message);
+            socket.on('message', (message, isBinary) => {
+                socket.lastPongAt = Date.now();
+                // Frames carry passwords, session tokens and device keys, so only their size is logged
+                this.log.debug(`Received ${isBinary ? 'binary ' : ''}message: ${message.length} bytes`);
+                this.handleWebSocketMessage(socket, message, isBinary);
             });
 
             socket.on('close', () => {
                 this.log.info('WebSocket connection closed.');
-                this.clients.forEach((client, id) => {
-                    if (client.socket === socket) {
-                        this.clients.delete(id);
-                        this.setConnectionState(id, false);
-                    }
-                });
+                this.handleSocketClosed(socket);
             });
 
         });
 
+        this.startHeartbeatMonitor();
+        this.startSecurityMonitor();
+        this.startClientRegistryMonitor();
+
         this.wsServer.on('error', (error) => {
             this.log.error(`WebSocket error: ${error.message}`);
         });
 
-        this.log.info(`WebSocket server listening on port ${wsPort}`);
-    }
-
-    async handleWebSocketMessage(socket, message) {
-        try {
-            const parsedMessage = JSON.parse(message);
-            const { action, data, username, password, clientId, person, device } = parsedMessage;
-    
-            if (!this.authenticate(username, password)) {
-                socket.send(JSON.stringify({ error: 'Authentication failed' }));
-                return;
-            }
-    
-            switch (action) {
-                case 'hello':
-                    this.handleHello(socket);
-                    break;
-                case 'setDeviceToken':
-                    const deviceToken = data.deviceToken;
-                    const person = data.person;
-                    const device = data.device;
-                    socket.clientId = clientId;
-                    socket.deviceToken = deviceToken;
-                    this.clients.set(clientId, socket);
-
-                    await this.setObjectNotExistsAsync(`${this.namespace}.person.${person}.${device}.ws_device_id`, {
-                        type: 'state',
-                        common: {
-                            name: 'WebSocket Device ID',
-                            type: 'string',
-                            role: 'text',
-                            read: true,
-                            write: false,
-                        },
-                        native: {},
-                    });
-
-                    await this.setObjectNotExistsAsync(`${this.namespace}.person.${person}.${device}.connection`, {
-                        type: 'state',
-                        common: {
-                            name: 'Connected',
-                            type: 'boolean',
-                            role: 'indicator.connected',
-                            read: true,
-                            write: false,
-                        },
-                        native: {},
-                    });
+        this.server.on('error', (error) => {
+            this.log.error(`WebSocket server error: ${error.message}`);
+        });
 
-                    await this.setObjectNotExistsAsync(`${this.namespace}.person.${person}.${device}.device_token`, {
-                        type: 'state',
-                        common: {
-                            name: 'APNs Device Token',
-                            type: 'string',
-                            role: 'text',
-                            read: true,
-                            write: false,
-                        },
-                        native: {},
-                    });
+        this.server.listen(wsPort, () => {
+            this.log.info(`WebSocket server listening on port ${wsPort} (${this.config.wsSecure ? 'wss' : 'ws'})`);
+        });
+    }
 
-                    await this.setStateAsync(`${this.namespace}.person.${person}.${device}.ws_device_id`, clientId, true);
-                    await this.setStateAsync(`${this.namespace}.person.${person}.${device}.device_token`, deviceToken, true);
-                    await this.setConnectionState(`${person}.${device}`, true);
-                    await this.registerRelayDevice({
-                        person,
-                        device,
-                        appDeviceId: clientId,
-                        apnsToken: deviceToken,
-                        lastSeenAt: new Date().toISOString(),
+    /**
+     * Exposes the main actions as `POST /api/v1/...` routes on the WebSocket port, for
+     * background URLSession uploads and Shortcuts that cannot keep a socket open.
+     */
+    registerRestRoutes() {
+        const body = req => (req.body && typeof req.body === 'object' ? req.body : {});
+        const routes = [
+            { path: '/api/v1/set', action: 'set', data: req => body(req) },
+            { path: '/api/v1/presence', action: 'setPresence', data: req => body(req) },
+            { path: '/api/v1/tags/:tagId/trigger', action: 'tagsTrigger', data: req => ({ ...body(req), tagId: req.params.tagId }) },
+            { path: '/api/v1/actions/:actionId/execute', action: 'executeAction', data: req => ({ ...body(req), actionId: req.params.actionId }) },
+            { path: '/api/v1/indoor/scan', action: 'indoorBeaconScan', data: req => body(req) },
+            { path: '/api/v1/batch', action: 'batch', data: req => body(req) },
+        ];
+        for (const route of routes) {
+            this.app.post(route.path, (req, res) => {
+                this.handleRestRequest(req, res, route.action, route.data(req))
+                    .catch(err => {
+                        this.log.error(`Error handling REST ${route.action}: ${err}`);
+                        res.status(500).json({ action: route.action, error: 'Internal error', code: ErrorCodes.INTERNAL });
                     });
-                    socket.send(JSON.stringify({ action: 'setDeviceToken', success: true }));
-                    this.sendQueuedMessages(socket);
-                    break;
-                case 'onlineState':
-                    this.handleOnlineState(socket);
-                    break;
-                case 'getPersons':
-                    this.handleGetPersons(socket);
-                    break;
-                case 'getDevices':
-                    this.handleGetDevices(socket, data);
-                    break;
-                case 'postPersons':
-                    this.handlePostPersons(socket, data);
-                    break;
-                case 'postDevices':
-                    this.handlePostDevices(socket, data);
-                    break;
-                case 'set':
-                    this.handleSet(socket, data);
-                    break;
-                case 'setPresence':
-                    this.handleSetPresence(socket, data);
-                    break;
-                case 'getZones':
-                    this.handleGetZones(socket);
-                    break;
-                case 'tagsTrigger':
-                    this.handleTagsTrigger(socket, data);
-                    break;
-                case 'createTag':
-                    this.handleCreateTag(socket, data);
-                    break;
-                case 'getActionCatalog':
-                    this.handleGetActionCatalog(socket);
-                    break;
-                case 'executeAction':
-                    this.handleExecuteAction(socket, data);
-                    break;
-                case 'requestSensorRefresh':
-                    this.handleRequestSensorRefresh(socket);
-                    break;
-                case 'notificationAck':
-                    this.handleNotificationAck(socket, data);
-                    break;
-                case 'getIndoorRooms':
-                    this.handleGetIndoorRooms(socket);
-                    break;
-                case 'indoorBeaconScan':
-                    this.handleIndoorBeaconScan(socket, data);
-                    break;
-                case 'setIndoorBeaconClassification':
-                    this.handleSetIndoorBeaconClassification(socket, data);
-                    break;
-                case 'setIndoorAreaBeaconMode':
-                    this.handleSetIndoorAreaBeaconMode(socket, data);
-                    break;
-                default:
-                    this.log.warn(`Unknown action: ${action}`);
-                    socket.send(JSON.stringify({ error: 'Unknown action' }));
-            }
-        } catch (error) {
-            this.log.error(`Error handling WebSocket message: ${error.message}`);
-            socket.send(JSON.stringify({ error: 'Invalid message format' }));
+            });
         }
     }
-    
 
-    sendMessageToClient(clientId, message) {
-        const client = this.clients.get(clientId);
-        if (client && client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(message));
-            this.log.info(`Message sent to client ${clientId}: ${JSON.stringify(message)}`);
-            return true;
+    /**
+     * Maps REST credentials onto the fields of a WebSocket frame: `Authorization: Bearer`
+     * carries a session token, `Authorization: Basic` the adapter username and password,
+     * and `X-Device-Key` with `X-Person`/`X-Device` a paired device key.
+     */
+    restCredentials(req) {
+        const authorization = String(req.get('Authorization') || '');
+        const [scheme, value = ''] = authorization.split(' ');
+        const frame = {
+            person: req.get('X-Person') || undefined,
+            device: req.get('X-Device') || undefined,
+            deviceKey: req.get('X-Device-Key') || undefined,
+        };
+        if (/^bearer$/i.test(scheme)) {
+            frame.token = value;
+        } else if (/^basic$/i.test(scheme)) {
+            const decoded = Buffer.from(value, 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            frame.username = separator >= 0 ? decoded.slice(0, separator) : decoded;
+            frame.password = separator >= 0 ? decoded.slice(separator + 1) : '';
         }
-
-        return false;
+        return frame;
     }
 
-    sendMessageToClients(message) {
-        this.wsServer.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify(message));
-                this.log.info(`Message sent to client: ${JSON.stringify(message)}`);
-            }
-        });
-    }
+    /**
+     * Runs one action for a REST request through the same authorization, rate limit,
+     * validation and handlers as a WebSocket frame, and answers with the handler's reply
+     * for the action as JSON.
+     *
+     * Frames a handler sends besides that reply, such as `notificationCommand`, cannot
+     * reach an HTTP client. They go to the open WebSocket connections of the
+     * authenticated device and the request is answered with 202; without such a
+     * connection nothing is sent and the answer is 409 with `E_NOT_DELIVERED`.
+     */
+    async handleRestRequest(req, res, action, data) {
+        const idempotencyKey = req.get('Idempotency-Key');
+        if (idempotencyKey && data && typeof data === 'object' && data.idempotencyKey === undefined) {
+            data = { ...data, idempotencyKey };
+        }
+        const frame = { ...this.restCredentials(req), data };
+        const commandFrames = [];
+        const connection = {
+            remoteAddress: this.requestAddress(req),
+            person: frame.person || data.person,
+            device: frame.device || data.device,
+            session: null,
+            send: (payload) => commandFrames.push(JSON.parse(payload)),
+        };
+        const replies = [];
+        const reply = {
+            connection,
+            send: (payload) => replies.push(JSON.parse(payload)),
+        };
+        const respond = (payload, status = 200) => {
+            res.status(payload.code ? HttpStatusByCode[payload.code] || 500 : status).json(payload);
+        };
 
-    queueMessageForClient(clientId, message) {
-        if (!this.messageQueue) {
-            this.messageQueue = new Map();
+        const retryAfterSeconds = this.countMessageRate(this.restRateWindow(connection.remoteAddress), connection.remoteAddress);
+        if (retryAfterSeconds > 0) {
+            res.set('Retry-After', String(retryAfterSeconds));
+            respond({ action, error: 'Rate limit exceeded', code: ErrorCodes.RATE_LIMITED, retryAfterSeconds });
+            return;
         }
-    
-        if (!this.messageQueue.has(clientId)) {
-            this.messageQueue.set(clientId, []);
+
+        const lockoutMs = this.addressLockoutRemainingMs(this.authFailureKey(connection, frame));
+        if (lockoutMs > 0) {
+            res.set('Retry-After', String(Math.ceil(lockoutMs / 1000)));
+            respond({ action, error: 'Too many failed attempts', code: ErrorCodes.LOCKED, retryAfterSeconds: Math.ceil(lockoutMs / 1000) });
+            return;
+        }
+        if (!await this.authorizeSocket(connection, frame)) {
+            await this.recordAuthFailure(connection, `rest:${action}`, frame);
+            respond({ action, error: 'Authentication failed', code: ErrorCodes.AUTH });
+            return;
+        }
+        if (this.conflictsWithVerifiedIdentity(connection, frame.person, frame.device)) {
+            respond({ action, error: 'Person or device does not match the authenticated device', code: ErrorCodes.FORBIDDEN });
+            return;
         }
-    
-        const clientQueue = this.messageQueue.get(clientId);
-        clientQueue.push(message);
-        this.messageQueue.set(clientId, clientQueue);
-    
-        this.log.debug(`Message queued for client ${clientId}: ${JSON.stringify(message)} Queue: ${JSON.stringify(Array.from(this.messageQueue.entries()))}`);
-    }
 
-    removeQueuedMessageForClient(clientId, message) {
-        if (!this.messageQueue || !this.messageQueue.has(clientId)) return;
-        const serializedMessage = JSON.stringify(message);
-        const queue = this.messageQueue.get(clientId).filter(queuedMessage => JSON.stringify(queuedMessage) !== serializedMessage);
-        if (queue.length === 0) {
-            this.messageQueue.delete(clientId);
-        } else {
-            this.messageQueue.set(clientId, queue);
+        if (this.validateFrameData(reply, action, data)) {
+            await this.dispatchAction(reply, action, data, undefined);
+        }
+        const result = replies.find(payload => payload.action === action) || replies.find(payload => payload.code) || { action, success: true };
+        commandFrames.unshift(...replies.filter(payload => payload !== result));
+        if (commandFrames.length === 0 || result.code) {
+            respond(result);
+            return;
         }
-    }
-    
 
-    sendQueuedMessages(socket) {
-        
-        const clientId = socket.clientId;
-        if (!clientId || !this.messageQueue.has(clientId)) {
-            this.log.debug(`sendQueuedMessages queue for client ${clientId}`);
+        const { person, device } = this.verifiedIdentityOf(connection);
+        const targets = person && device
+            ? this.connectionsOfDevice(person, device).filter(socket => socket.readyState === WebSocket.OPEN)
+            : [];
+        if (targets.length === 0) {
+            this.log.warn(`REST ${action} produced ${commandFrames.length} frame(s) without an open connection to deliver them to`);
+            respond({ action, error: 'No open app connection to deliver the command to', code: ErrorCodes.NOT_DELIVERED });
             return;
         }
-    
-        const queue = this.messageQueue.get(clientId);
-        this.log.debug(`sendQueuedMessages queue for client ${clientId}: ${JSON.stringify(queue)}`);
-    
-        while (queue.length > 0) {
-            const message = queue.shift();
-            if (socket.readyState === WebSocket.OPEN) {
-                socket.send(JSON.stringify(message));
-                this.log.info(`Queued message sent to client ${clientId}: ${JSON.stringify(message)}`);
-            } else {
-                queue.unshift(message);
-                break;
+        for (const target of targets) {
+            for (const command of commandFrames) {
+                this.sendFrame(target, JSON.stringify(command));
             }
         }
-    
-        if (queue.length === 0) {
-            this.messageQueue.delete(clientId);
-        }
+        respond(result, 202);
     }
-    
 
-    parseMessagePath(id) {
-        const prefix = `${this.namespace}.`;
-        if (!id || !id.startsWith(prefix)) {
-            return null;
+    restRateWindow(address) {
+        const now = Date.now();
+        for (const [key, window] of this.restRateWindows) {
+            if (now - window.rateWindowStart >= 60 * 1000) this.restRateWindows.delete(key);
         }
+        if (!this.restRateWindows.has(address)) {
+            this.restRateWindows.set(address, { rateWindowStart: now, rateWindowCount: 0 });
+        }
+        return this.restRateWindows.get(address);
+    }
 
-        const parts = id.slice(prefix.length).split('.');
-        if (parts[0] === 'messages' && parts.length >= 2) {
+    /**
+     * Checks the target of a webhook defined in the admin and returns it in normalized form.
+     * Supported types: `state` (id, optional fixed value), `tag` (tagId), `action` (actionId)
+     * and `notification` (optional person/device, title, body).
+     */
+    normalizeWebhookTarget(target) {
+        const type = target && target.type;
+        if (type === 'state' && target.id) {
+            const normalized = { type, id: String(target.id) };
+            if (target.value !== undefined && target.value !== '') normalized.value = target.value;
+            return normalized;
+        }
+        if (type === 'tag' && target.tagId) {
+            return { type, tagId: this.normalizeTagId(target.tagId) };
+        }
+        if (type === 'action' && target.actionId) {
+            return { type, actionId: String(target.actionId) };
+        }
+        if (type === 'notification') {
             return {
-                scope: 'global',
-                field: parts[1],
-                basePath: `${this.namespace}.messages`,
+                type,
+                person: target.person ? String(target.person) : '',
+                device: target.person && target.device ? String(target.device) : '',
+                title: String(target.title || ''),
+                body: String(target.body || ''),
             };
         }
+        throw new Error('Invalid webhook target');
+    }
 
-        if (parts[0] !== 'person' || parts.length < 4) {
-            return null;
+    async createWebhook({ name, target }) {
+        const normalizedTarget = this.normalizeWebhookTarget(target);
+        const baseId = this.normalizeObjectSegment(name, 'webhook');
+        let webhookId = baseId;
+        for (let suffix = 2; await this.getForeignObjectAsync(`${this.namespace}.webhooks.${webhookId}`); suffix++) {
+            webhookId = `${baseId}-${suffix}`;
         }
 
-        const person = parts[1];
-        if (parts[2] === 'messages') {
-            return {
-                scope: 'person',
-                person,
-                field: parts[3],
-                basePath: `${this.namespace}.person.${person}.messages`,
-            };
-        }
+        const secret = crypto.randomBytes(24).toString('base64url');
+        const base = `${this.namespace}.webhooks.${webhookId}`;
+        await this.ensureChannel(`${this.namespace}.webhooks`, 'Webhooks');
+        await this.setForeignObjectAsync(base, {
+            type: 'channel',
+            common: { name: String(name || webhookId) },
+            native: {
+                secretHash: this.hashDeviceKey(secret),
+                target: normalizedTarget,
+                createdAt: new Date().toISOString(),
+            },
+        });
+        await this.ensureState(`${base}.last_called`, 'Last called', 'string', 'date');
+        await this.ensureState(`${base}.count`, 'Call count', 'number', 'value');
+        await this.setStateAsync(`${base}.count`, 0, true);
 
-        if (parts[3] === 'messages' && parts.length >= 5) {
-            const device = parts[2];
-            return {
-                scope: 'device',
-                person,
-                device,
-                field: parts[4],
-                basePath: `${this.namespace}.person.${person}.${device}.messages`,
-            };
+        this.log.info(`Webhook ${webhookId} created for ${normalizedTarget.type}`);
+        return {
+            id: webhookId,
+            name: String(name || webhookId),
+            target: normalizedTarget,
+            path: `/hooks/${webhookId}/${secret}`,
+            port: Number(this.config.wsPort || 9192),
+            secure: Boolean(this.config.wsSecure),
+        };
+    }
+
+    async listWebhooks() {
+        const objects = await this.getForeignObjectsAsync(`${this.namespace}.webhooks.*`, 'channel');
+        const webhooks = [];
+        for (const [id, object] of Object.entries(objects || {})) {
+            const webhookId = id.substring(`${this.namespace}.webhooks.`.length);
+            if (webhookId.includes('.')) continue;
+            const lastCalled = await this.getStateAsync(`${id}.last_called`);
+            const count = await this.getStateAsync(`${id}.count`);
+            webhooks.push({
+                id: webhookId,
+                name: this.translatedName(object.common && object.common.name) || webhookId,
+                target: object.native && object.native.target,
+                createdAt: object.native && object.native.createdAt,
+                lastCalled: lastCalled && lastCalled.val ? String(lastCalled.val) : '',
+                count: count && count.val ? Number(count.val) : 0,
+            });
         }
+        return webhooks.sort((left, right) => left.name.localeCompare(right.name));
+    }
 
-        return null;
+    async deleteWebhook(webhookId) {
+        const id = this.normalizeObjectSegment(webhookId, '');
+        if (!id) return;
+        await this.delForeignObjectAsync(`${this.namespace}.webhooks.${id}`, { recursive: true });
+        this.log.info(`Webhook ${id} deleted`);
     }
 
-    extractClientIdsFromStates(states) {
-        return Object.entries(states || {})
-            .filter(([id]) => !id.endsWith('.messages.ws_device_id'))
-            .map(([, state]) => state && state.val)
-            .filter(val => val)
-            .map(val => String(val));
+    registerWebhookRoutes() {
+        const handler = (req, res) => {
+            this.handleWebhookRequest(req, res)
+                .catch(err => {
+                    this.log.error(`Error handling webhook ${req.params.webhookId}: ${err}`);
+                    res.status(500).json({ error: 'Internal error', code: ErrorCodes.INTERNAL });
+                });
+        };
+        this.app.get('/hooks/:webhookId/:secret', handler);
+        this.app.post('/hooks/:webhookId/:secret', handler);
     }
 
-    async getMessageTargetClientIds(target) {
-        if (target.scope === 'global') {
-            const allDeviceStates = await this.getStatesAsync(`${this.namespace}.person.*.*.ws_device_id`);
-            return this.extractClientIdsFromStates(allDeviceStates);
+    /**
+     * Runs a webhook called from e.g. an iOS Shortcut. The URL secret authenticates the
+     * call; `value`, `payload`, `title` and `body` may be passed as query parameters or
+     * in a JSON body to fill in what the webhook target leaves open.
+     */
+    async handleWebhookRequest(req, res) {
+        const connection = { remoteAddress: this.requestAddress(req) };
+        const lockoutMs = this.addressLockoutRemainingMs(this.remoteAddressOf(connection));
+        if (lockoutMs > 0) {
+            res.set('Retry-After', String(Math.ceil(lockoutMs / 1000)));
+            res.status(429).json({ error: 'Too many failed attempts', code: ErrorCodes.LOCKED, retryAfterSeconds: Math.ceil(lockoutMs / 1000) });
+            return;
         }
 
-        if (target.scope === 'person') {
-            const deviceStates = await this.getStatesAsync(`${this.namespace}.person.${target.person}.*.ws_device_id`);
-            return this.extractClientIdsFromStates(deviceStates);
+        const webhookId = this.normalizeObjectSegment(req.params.webhookId, '');
+        const base = `${this.namespace}.webhooks.${webhookId}`;
+        const object = webhookId ? await this.getForeignObjectAsync(base) : null;
+        if (!object || !object.native || !this.secretMatchesHash(req.params.secret, object.native.secretHash)) {
+            await this.recordAuthFailure(connection, 'webhook');
+            res.status(404).json({ error: 'Unknown webhook', code: ErrorCodes.NOT_FOUND });
+            return;
         }
 
-        const deviceState = await this.getStateAsync(`${this.namespace}.person.${target.person}.${target.device}.ws_device_id`);
-        return deviceState && deviceState.val ? [String(deviceState.val)] : [];
+        const input = { ...(req.query || {}), ...(req.body && typeof req.body === 'object' ? req.body : {}) };
+        const result = await this.runWebhookTarget(object.native.target, input);
+
+        const count = await this.getStateAsync(`${base}.count`);
+        await this.setStateAsync(`${base}.count`, (count && Number(count.val) || 0) + 1, true);
+        await this.setStateAsync(`${base}.last_called`, new Date().toISOString(), true);
+
+        this.log.info(`Webhook ${webhookId} called: ${result.error || 'ok'}`);
+        res.status(result.code ? HttpStatusByCode[result.code] || 500 : 200).json({ webhook: webhookId, ...result });
     }
 
-    async generatePayload(id) {
-        const target = this.parseMessagePath(id);
-        if (!target || target.field !== 'send') {
-            this.log.warn(`Cannot generate APN payload for unknown message path: ${id}`);
+    async runWebhookTarget(target, input) {
+        const replies = [];
+        const collector = {
+            connection: { trusted: true },
+            send: (payload) => replies.push(JSON.parse(payload)),
+        };
+
+        switch (target && target.type) {
+            case 'state': {
+                const object = await this.getForeignObjectAsync(target.id);
+                if (!object || object.type !== 'state') {
+                    return { error: 'State not found', code: ErrorCodes.NOT_FOUND };
+                }
+                const common = object.common || {};
+                const value = this.coerceWebhookValue(target.value !== undefined ? target.value : input.value, common.type);
+                const errors = this.validateControlValue(common, value);
+                if (errors.length > 0) {
+                    return { error: 'Invalid data', code: ErrorCodes.VALIDATION, errors };
+                }
+                await this.setForeignStateAsync(target.id, { val: value, ack: false });
+                return { success: true, data: { id: target.id, val: value } };
+            }
+            case 'tag':
+                await this.handleTagsTrigger(collector, { tagId: target.tagId });
+                return replies[0] || { success: true };
+            case 'action': {
+                await this.handleExecuteAction(collector, { actionId: target.actionId, payload: input.payload });
+                // Commands meant for the app are forwarded to every connected client.
+                const commands = replies.filter(reply => reply.action !== 'executeAction');
+                if (this.wsServer) {
+                    commands.forEach(command => this.sendMessageToClients(command));
+                }
+                return replies.find(reply => reply.action === 'executeAction') || { success: true };
+            }
+            case 'notification': {
+                const base = target.person
+                    ? `${this.namespace}.person.${target.person}${target.device ? `.${target.device}` : ''}.messages`
+                    : `${this.namespace}.messages`;
+                await this.setStateAsync(`${base}.title`, String(input.title || target.title || ''), true);
+                await this.setStateAsync(`${base}.body`, String(input.body || target.body || ''), true);
+                await this.generatePayload(`${base}.send`);
+                return { success: true };
+            }
+            default:
+                return { error: 'Invalid webhook target', code: ErrorCodes.INTERNAL };
+        }
+    }
+
+    coerceWebhookValue(value, type) {
+        if (typeof value !== 'string') return value;
+        if (type === 'number' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+        if (type === 'boolean') {
+            if (['true', '1', 'on'].includes(value.toLowerCase())) return true;
+            if (['false', '0', 'off'].includes(value.toLowerCase())) return false;
+        }
+        return value;
+    }
+
+    /**
+     * Cleans up after a closed socket. Runs once per socket: the heartbeat calls it right
+     * after `terminate()`, which emits `close` as well.
+     */
+    handleSocketClosed(socket) {
+        if (socket.closeHandled) return;
+        socket.closeHandled = true;
+        this.clients.forEach((client, id) => {
+            if (client === socket) {
+                this.clients.delete(id);
+                if (socket.person && socket.device) {
+                    this.setConnectionState(`${socket.person}.${socket.device}`, false)
+                        .catch(err => this.log.warn(`Could not reset connection state for ${socket.person}.${socket.device}: ${err.message}`));
+                }
+            }
+        });
+        this.releaseStateSubscriptions(socket)
+            .catch(err => this.log.warn(`Could not release state subscriptions: ${err.message}`));
+        this.scheduleClientRegistryUpdate();
+    }
+
+    startHeartbeatMonitor() {
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+        const intervalSeconds = Number(this.config.heartbeatIntervalSeconds === undefined ? 30 : this.config.heartbeatIntervalSeconds);
+        if (!(intervalSeconds > 0)) {
+            this.log.info('WebSocket heartbeat disabled.');
             return;
         }
+        this.heartbeatInterval = setInterval(() => this.checkSocketHeartbeats(), intervalSeconds * 1000);
+    }
 
-        const basePath = target.basePath;
-        this.log.debug(`namespace ${basePath}`);
-        try {
-            const titleState = await this.getStateAsync(`${basePath}.title`);
-            const subtitleState = await this.getStateAsync(`${basePath}.subtitle`);
-            const bodyState = await this.getStateAsync(`${basePath}.body`);
-            const bodyHtmlState = await this.getStateAsync(`${basePath}.body-html`);
-            const soundState = await this.getStateAsync(`${basePath}.sound`);
-            const interruptionLevelState = await this.getStateAsync(`${basePath}.interruption-level`);
-            const relevanceScoreState = await this.getStateAsync(`${basePath}.relevance-score`);
+    checkSocketHeartbeats() {
+        if (!this.wsServer) return;
+        const timeoutSeconds = Number(this.config.heartbeatTimeoutSeconds || 90);
+        const timeoutMs = Math.max(timeoutSeconds, 1) * 1000;
+        const now = Date.now();
+
+        this.wsServer.clients.forEach(socket => {
+            const silentMs = now - (socket.lastPongAt || 0);
+            if (silentMs > timeoutMs) {
+                const target = socket.person && socket.device ? `${socket.person}.${socket.device}` : socket.clientId || 'unknown client';
+                this.log.info(`Terminating stale WebSocket connection of ${target} after ${Math.round(silentMs / 1000)}s without pong`);
+                socket.terminate();
+                this.handleSocketClosed(socket);
+                return;
+            }
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.ping();
+            }
+        });
+    }
+
+    /**
+     * Wraps the socket for the duration of one frame so that every reply carries the
+     * frame's requestId. Handlers keep calling `send(JSON.stringify(...))`; state that
+     * belongs to the connection itself lives on `connection`.
+     */
+    createReplyChannel(socket, requestId) {
+        const correlated = typeof requestId === 'string' || typeof requestId === 'number';
+        return {
+            connection: socket,
+            requestId: correlated ? requestId : undefined,
+            send: (payload) => {
+                this.sendFrame(socket, correlated ? JSON.stringify({ ...JSON.parse(payload), requestId }) : payload);
+            },
+        };
+    }
+
+    connectionOf(socket) {
+        return socket.connection || socket;
+    }
+
+    async handleSetDeviceToken(socket, data, clientId) {
+        const { deviceToken, person, device } = data;
+        const connection = this.connectionOf(socket);
+        if (this.conflictsWithVerifiedIdentity(socket, person, device)) {
+            this.log.warn(`Rejected setDeviceToken for ${person}.${device}: connection is authenticated as another device`);
+            socket.send(JSON.stringify({ action: 'setDeviceToken', error: 'Person or device does not match the authenticated device', code: ErrorCodes.FORBIDDEN }));
+            return;
+        }
+        connection.clientId = clientId;
+        connection.deviceToken = deviceToken;
+        connection.person = person;
+        connection.device = device;
+        this.clients.set(clientId, connection);
+
+        await this.setObjectNotExistsAsync(`${this.namespace}.person.${person}.${device}.ws_device_id`, {
+            type: 'state',
+            common: {
+                name: 'WebSocket Device ID',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync(`${this.namespace}.person.${person}.${device}.connection`, {
+            type: 'state',
+            common: {
+                name: 'Connected',
+                type: 'boolean',
+                role: 'indicator.connected',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.setObjectNotExistsAsync(`${this.namespace}.person.${person}.${device}.device_token`, {
+            type: 'state',
+            common: {
+                name: 'APNs Device Token',
+                type: 'string',
+                role: 'text',
+                read: true,
+                write: false,
+            },
+            native: {},
+        });
+
+        await this.setStateAsync(`${this.namespace}.person.${person}.${device}.ws_device_id`, clientId, true);
+        await this.setStateAsync(`${this.namespace}.person.${person}.${device}.device_token`, deviceToken, true);
+        await this.setConnectionState(`${person}.${device}`, true);
+        try {
+            await this.storeClientInfo(connection);
+        } catch (err) {
+            this.log.warn(`Could not store client info: ${err.message}`);
+        }
+        this.scheduleClientRegistryUpdate();
+        await this.registerRelayDevice({
+            person,
+            device,
+            appDeviceId: clientId,
+            apnsToken: deviceToken,
+            lastSeenAt: new Date().toISOString(),
+        });
+        socket.send(JSON.stringify({ action: 'setDeviceToken', success: true }));
+        this.sendQueuedMessages(connection);
+    }
+
+    /**
+     * Validates frame data against the action schema and replies with E_VALIDATION
+     * and the offending field paths when it does not match.
+     */
+    validateFrameData(socket, action, data) {
+        const errors = validateActionData(action, data);
+        if (errors.length === 0) return true;
+
+        this.log.debug(`Rejected ${action} frame: ${JSON.stringify(errors)}`);
+        socket.send(JSON.stringify({
+            action,
+            error: 'Invalid data',
+            code: ErrorCodes.VALIDATION,
+            errors,
+        }));
+        return false;
+    }
+
+    /**
+     * Sends a serialized JSON frame in the encoding negotiated for the connection via
+     * `hello`: MessagePack as a binary frame, otherwise the JSON text unchanged.
+     */
+    sendFrame(socket, payload) {
+        socket.messagesOut = (socket.messagesOut || 0) + 1;
+        this.clientRegistryDirty = true;
+        if (socket.encoding === 'msgpack') {
+            socket.send(msgpack.encode(JSON.parse(payload)), { binary: true });
+            return;
+        }
+        socket.send(payload);
+    }
+
+    decodeFrame(message, isBinary) {
+        return isBinary ? msgpack.decode(message) : JSON.parse(message);
+    }
+
+    async handleWebSocketMessage(socket, message, isBinary = false) {
+        socket.messagesIn = (socket.messagesIn || 0) + 1;
+        socket.lastActivityAt = Date.now();
+        this.clientRegistryDirty = true;
+        let reply = this.createReplyChannel(socket);
+        if (!this.checkMessageRate(socket)) {
+            return;
+        }
+        try {
+            const parsedMessage = this.decodeFrame(message, isBinary);
+            const { action, data, clientId } = parsedMessage;
+            reply = this.createReplyChannel(socket, parsedMessage.requestId);
+
+            const lockoutMs = socket.session ? 0 : this.addressLockoutRemainingMs(this.authFailureKey(socket, parsedMessage));
+            if (lockoutMs > 0) {
+                reply.send(JSON.stringify({
+                    action,
+                    error: 'Too many failed attempts',
+                    code: ErrorCodes.LOCKED,
+                    retryAfterSeconds: Math.ceil(lockoutMs / 1000),
+                }));
+                return;
+            }
+
+            if (action === 'login') {
+                await this.handleLogin(reply, parsedMessage);
+                return;
+            }
+
+            if (action === 'pairDevice') {
+                if (this.validateFrameData(reply, action, data)) {
+                    await this.handlePairDevice(reply, data, clientId);
+                }
+                return;
+            }
+
+            if (!await this.authorizeSocket(socket, parsedMessage)) {
+                await this.recordAuthFailure(socket, action ? `frame:${action}` : 'frame', parsedMessage);
+                reply.send(JSON.stringify({ error: 'Authentication failed', code: ErrorCodes.AUTH }));
+                return;
+            }
+
+            if (!this.validateFrameData(reply, action, data)) {
+                return;
+            }
+    
+            await this.dispatchAction(reply, action, data, clientId);
+        } catch (error) {
+            this.log.error(`Error handling WebSocket message: ${error.message}`);
+            reply.send(JSON.stringify({ error: 'Invalid message format', code: ErrorCodes.INVALID_FRAME }));
+        }
+    }
+    
+
+    async dispatchAction(reply, action, data, clientId) {
+        if (IDEMPOTENT_ACTIONS.includes(action) && data && data.idempotencyKey) {
+            await this.dispatchIdempotent(reply, action, data, clientId);
+            return;
+        }
+
+        switch (action) {
+            case 'logout':
+                await this.handleLogout(reply);
+                break;
+            case 'refreshToken':
+                await this.handleRefreshToken(reply);
+                break;
+            case 'hello':
+                await this.handleHello(reply, data);
+                break;
+            case 'setDeviceToken':
+                await this.handleSetDeviceToken(reply, data, clientId);
+                break;
+            case 'onlineState':
+                await this.handleOnlineState(reply);
+                break;
+            case 'getPersons':
+                await this.handleGetPersons(reply);
+                break;
+            case 'getDevices':
+                await this.handleGetDevices(reply, data);
+                break;
+            case 'postPersons':
+                await this.handlePostPersons(reply, data);
+                break;
+            case 'postDevices':
+                await this.handlePostDevices(reply, data);
+                break;
+            case 'deletePerson':
+            case 'deleteDevice':
+            case 'renameDevice':
+            case 'mergeDevices':
+                await this.handleDeviceManagement(reply, action, data);
+                break;
+            case 'migrateDevice':
+                await this.handleMigrateDevice(reply, data);
+                break;
+            case 'healthSamples':
+                await this.handleHealthSamples(reply, data);
+                break;
+            case 'watchSnapshot':
+                await this.handleWatchSnapshot(reply, data);
+                break;
+            case 'set':
+                await this.handleSet(reply, data);
+                break;
+            case 'setPresence':
+                await this.handleSetPresence(reply, data);
+                break;
+            case 'getZones':
+                await this.handleGetZones(reply);
+                break;
+            case 'tagsTrigger':
+                await this.handleTagsTrigger(reply, data);
+                break;
+            case 'createTag':
+                await this.handleCreateTag(reply, data);
+                break;
+            case 'getActionCatalog':
+                await this.handleGetActionCatalog(reply);
+                break;
+            case 'executeAction':
+                await this.handleExecuteAction(reply, data);
+                break;
+            case 'requestSensorRefresh':
+                this.handleRequestSensorRefresh(reply);
+                break;
+            case 'notificationAck':
+                this.handleNotificationAck(reply, data);
+                break;
+            case 'getIndoorRooms':
+                await this.handleGetIndoorRooms(reply);
+                break;
+            case 'indoorBeaconScan':
+                await this.handleIndoorBeaconScan(reply, data);
+                break;
+            case 'setIndoorBeaconClassification':
+                await this.handleSetIndoorBeaconClassification(reply, data);
+                break;
+            case 'setIndoorAreaBeaconMode':
+                await this.handleSetIndoorAreaBeaconMode(reply, data);
+                break;
+            case 'batch':
+                await this.handleBatch(reply, data, clientId);
+                break;
+            case 'subscribeStates':
+                await this.handleSubscribeStates(reply, data);
+                break;
+            case 'unsubscribeStates':
+                await this.handleUnsubscribeStates(reply, data);
+                break;
+            case 'controlState':
+                await this.handleControlState(reply, data);
+                break;
+            default:
+                this.log.warn(`Unknown action: ${action}`);
+                reply.send(JSON.stringify({ action, error: 'Unknown action', code: ErrorCodes.UNKNOWN_ACTION }));
+        }
+    }
+
+    /**
+     * Runs a write action at most once per device and `idempotencyKey` within the
+     * configured window. A retry with the same key gets the reply of the first run again,
+     * marked with `replayed: true`, even while the first run is still in progress. Frames
+     * the first run sent besides its reply, such as `notificationCommand`, are not
+     * repeated. Runs that failed internally are forgotten so that a retry executes again.
+     * A key reused with different data is rejected before anything runs.
+     */
+    async dispatchIdempotent(reply, action, data, clientId) {
+        const { idempotencyKey, ...actionData } = data;
+        const windowMs = Number(this.config.idempotencyWindowSeconds === undefined ? 600 : this.config.idempotencyWindowSeconds) * 1000;
+        if (!(windowMs > 0)) {
+            await this.dispatchAction(reply, action, actionData, clientId);
+            return;
+        }
+
+        const now = Date.now();
+        for (const [key, entry] of this.idempotencyCache) {
+            if (entry.expiresAt <= now) this.idempotencyCache.delete(key);
+        }
+
+        const { person, device } = this.identityOf(reply);
+        const owner = person ? `${person}.${device}` : clientId || this.remoteAddressOf(this.connectionOf(reply));
+        const cacheKey = `${owner}|${action}|${idempotencyKey}`;
+        const payload = JSON.stringify(actionData);
+        const cached = this.idempotencyCache.get(cacheKey);
+        if (cached) {
+            if (cached.payload !== payload) {
+                this.log.warn(`Rejected ${action} from ${owner}: idempotency key ${idempotencyKey} was used with different data`);
+                reply.send(JSON.stringify({ action, error: 'Idempotency key was used with different data', code: ErrorCodes.IDEMPOTENCY_CONFLICT }));
+                return;
+            }
+            const result = await cached.result;
+            if (result) {
+                this.log.debug(`Replaying ${action} for idempotency key ${idempotencyKey} from ${owner}`);
+                reply.send(JSON.stringify({ ...result, replayed: true }));
+                return;
+            }
+            await this.dispatchAction(reply, action, data, clientId);
+            return;
+        }
+
+        /** @type {(result: object | null) => void} */
+        let settle = () => {};
+        const entry = { expiresAt: now + windowMs, payload, result: new Promise(resolve => { settle = resolve; }) };
+        this.idempotencyCache.set(cacheKey, entry);
+
+        /** @type {any} */
+        let result = null;
+        const recorder = {
+            ...reply,
+            connection: this.connectionOf(reply),
+            send: (payload) => {
+                const frame = JSON.parse(payload);
+                if (!result && (frame.action === action || frame.code)) result = frame;
+                reply.send(payload);
+            },
+        };
+        try {
+            await this.dispatchAction(recorder, action, actionData, clientId);
+        } finally {
+            const failed = !result || result.code === ErrorCodes.INTERNAL;
+            if (failed) this.idempotencyCache.delete(cacheKey);
+            settle(failed ? null : result);
+        }
+    }
+
+    /**
+     * Runs the sub-actions of a `batch` frame one after another and answers with a single
+     * reply holding one result per item. Sub-actions share a cache of state objects
+     * that are known to exist, so repeated paths are only checked once.
+     *
+     * The reply of an item's own action is its result; other frames a sub-action sends,
+     * such as `notificationCommand`, go to the connection directly.
+     *
+     * Items carrying a `ts` are buffered offline events: they run in the order they
+     * happened, after that come the items without `ts`, and the reply adds a `replay`
+     * summary.
+     */
+    async handleBatch(socket, data, clientId) {
+        const knownStateObjects = new Set();
+        const results = [];
+        const eventTimeOf = item => {
+            const ts = parseEventTimestamp(item && item.data && item.data.ts);
+            return ts === undefined || Number.isNaN(ts) ? Infinity : ts;
+        };
+        const ordered = [...data.items.entries()]
+            .sort(([indexA, itemA], [indexB, itemB]) => (eventTimeOf(itemA) - eventTimeOf(itemB)) || (indexA - indexB));
+
+        for (const [index, item] of ordered) {
+            const itemReplies = [];
+            const collector = {
+                connection: this.connectionOf(socket),
+                knownStateObjects,
+                send: (payload) => itemReplies.push(JSON.parse(payload)),
+            };
+            const correlation = item.id === undefined ? { index } : { index, id: item.id };
+
+            const validationErrors = validateActionData(item.action, item.data);
+            if (validationErrors.length > 0) {
+                results.push({ ...correlation, action: item.action, error: 'Invalid data', code: ErrorCodes.VALIDATION, errors: validationErrors });
+                continue;
+            }
+
+            try {
+                await this.dispatchAction(collector, item.action, item.data, clientId);
+                const result = itemReplies.find(reply => reply.action === item.action);
+                for (const frame of itemReplies) {
+                    if (frame !== result) this.sendFrame(collector.connection, JSON.stringify(frame));
+                }
+                results.push({ ...correlation, ...(result || { action: item.action, success: true }) });
+            } catch (err) {
+                this.log.error(`Error handling batch item ${index} (${item.action}): ${err}`);
+                results.push({ ...correlation, action: item.action, error: `Error handling ${item.action}`, code: ErrorCodes.INTERNAL });
+            }
+        }
+
+        results.sort((a, b) => a.index - b.index);
+        const failed = results.filter(result => result.error).length;
+        this.log.debug(`Processed batch with ${results.length} item(s), ${failed} failed`);
+        const replayed = data.items
+            .map((item, index) => ({ ts: eventTimeOf(item), result: results[index] }))
+            .filter(entry => entry.ts !== Infinity);
+        if (replayed.length === 0) {
+            socket.send(JSON.stringify({ action: 'batch', success: true, data: { failed, results } }));
+            return;
+        }
+
+        const replay = {
+            events: replayed.length,
+            applied: replayed.filter(entry => !entry.result.error && !entry.result.stale).length,
+            stale: replayed.filter(entry => entry.result.stale).length,
+            failed: replayed.filter(entry => entry.result.error).length,
+            from: new Date(replayed.reduce((min, entry) => Math.min(min, entry.ts), Infinity)).toISOString(),
+            to: new Date(replayed.reduce((max, entry) => Math.max(max, entry.ts), 0)).toISOString(),
+        };
+        this.log.info(`Replayed ${replay.events} offline event(s) from ${replay.from} to ${replay.to}: ${replay.applied} applied, ${replay.stale} stale, ${replay.failed} failed`);
+        socket.send(JSON.stringify({ action: 'batch', success: true, data: { failed, results, replay } }));
+    }
+
+    /**
+     * Resolves an allowlist setting into a predicate. `enum.*` entries are expanded to
+     * their current members, so changes to rooms and functions apply without a restart.
+     */
+    async loadAllowlist(text) {
+        const entries = parseAllowlist(text);
+        const enumMembers = new Map();
+        for (const enumId of entries.filter(entry => entry.startsWith('enum.'))) {
+            try {
+                const enumObject = await this.getForeignObjectAsync(enumId);
+                const members = enumObject && enumObject.common && enumObject.common.members;
+                enumMembers.set(enumId, Array.isArray(members) ? members : []);
+            } catch (err) {
+                this.log.warn(`Could not read allowlist enum ${enumId}: ${err.message}`);
+            }
+        }
+        return createAllowlist(entries, enumMembers);
+    }
+
+    /**
+     * Checks a command value against the target object's `common.type`, `min`/`max`
+     * and `states` before it is written.
+     *
+     * @returns {{ field: string, message: string }[]}
+     */
+    validateControlValue(common, value) {
+        const field = 'data.value';
+        const type = common && common.type;
+        if (type === 'number' && typeof value !== 'number') {
+            return [{ field, message: 'must be of type number' }];
+        }
+        if (type === 'boolean' && typeof value !== 'boolean') {
+            return [{ field, message: 'must be of type boolean' }];
+        }
+        if (type === 'string' && typeof value !== 'string') {
+            return [{ field, message: 'must be of type string' }];
+        }
+        if (typeof value === 'number') {
+            if (typeof common.min === 'number' && value < common.min) {
+                return [{ field, message: `must be >= ${common.min}` }];
+            }
+            if (typeof common.max === 'number' && value > common.max) {
+                return [{ field, message: `must be <= ${common.max}` }];
+            }
+        }
+
+        let allowedValues = null;
+        if (Array.isArray(common.states)) {
+            // ioBroker treats an array of labels as states keyed by their index
+            allowedValues = common.states.map((_, index) => String(index));
+        } else if (typeof common.states === 'string') {
+            allowedValues = common.states.split(';').map(entry => entry.split(':')[0].trim());
+        } else if (common.states && typeof common.states === 'object') {
+            allowedValues = Object.keys(common.states);
+        }
+        if (allowedValues && !allowedValues.includes(String(value))) {
+            return [{ field, message: `must be one of ${allowedValues.join(', ')}` }];
+        }
+        return [];
+    }
+
+    /**
+     * Writes a command (`ack: false`) to a foreign state that the admin allowlisted
+     * for remote control.
+     */
+    async handleControlState(socket, data) {
+        const { id, value } = data;
+        const connection = this.connectionOf(socket);
+        try {
+            const isAllowed = await this.loadAllowlist(this.config.controlAllowlist);
+            if (!isAllowed(id)) {
+                this.log.warn(`Rejected controlState for ${id}: not allowlisted`);
+                socket.send(JSON.stringify({ action: 'controlState', error: 'State is not allowlisted', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
+
+            const options = await this.aclOptionsFor(socket);
+            const object = await this.getForeignObjectAsync(id, options);
+            if (!object || object.type !== 'state') {
+                socket.send(JSON.stringify({ action: 'controlState', error: 'State not found', code: ErrorCodes.NOT_FOUND }));
+                return;
+            }
+            if (object.common && object.common.write === false) {
+                socket.send(JSON.stringify({ action: 'controlState', error: 'State is read-only', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
+
+            const errors = this.validateControlValue(object.common || {}, value);
+            if (errors.length > 0) {
+                socket.send(JSON.stringify({ action: 'controlState', error: 'Invalid data', code: ErrorCodes.VALIDATION, errors }));
+                return;
+            }
+
+            await this.setForeignStateAsync(id, { val: value, ack: false }, options);
+            this.log.info(`State ${id} controlled by ${connection.person || 'app'}${connection.device ? `.${connection.device}` : ''}: ${JSON.stringify(value)}`);
+            socket.send(JSON.stringify({ action: 'controlState', success: true, data: { id, val: value } }));
+        } catch (err) {
+            if (this.isPermissionError(err)) {
+                this.log.warn(`Permission denied controlling ${id}`);
+                socket.send(JSON.stringify({ action: 'controlState', error: 'Permission denied', code: ErrorCodes.FORBIDDEN }));
+                return;
+            }
+            this.log.error(`Error controlling state ${id}: ${err}`);
+            socket.send(JSON.stringify({ action: 'controlState', error: `Error controlling state ${id}`, code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    serializeState(state) {
+        if (!state) return null;
+        return { val: state.val, ack: state.ack, ts: state.ts, lc: state.lc };
+    }
+
+    async handleSubscribeStates(socket, data) {
+        const connection = this.connectionOf(socket);
+        if (!connection.stateSubscriptions) {
+            connection.stateSubscriptions = new Set();
+        }
+        const maxSubscriptions = 200;
+
+        try {
+            const isAllowed = await this.loadAllowlist(this.config.subscriptionAllowlist);
+            const options = await this.aclOptionsFor(socket);
+            const subscribed = [];
+            const rejected = [];
+            const states = {};
+
+            for (const id of data.ids) {
+                if (!isAllowed(id)) {
+                    rejected.push({ id, error: 'State is not allowlisted', code: ErrorCodes.FORBIDDEN });
+                    continue;
+                }
+                if (!connection.stateSubscriptions.has(id) && connection.stateSubscriptions.size >= maxSubscriptions) {
+                    rejected.push({ id, error: `At most ${maxSubscriptions} subscriptions per connection`, code: ErrorCodes.VALIDATION });
+                    continue;
+                }
+                let object;
+                let state;
+                try {
+                    object = await this.getForeignObjectAsync(id, options);
+                    state = object && object.type === 'state' ? await this.getForeignStateAsync(id, options) : null;
+                } catch (err) {
+                    if (!this.isPermissionError(err)) throw err;
+                    rejected.push({ id, error: 'Permission denied', code: ErrorCodes.FORBIDDEN });
+                    continue;
+                }
+                if (!object || object.type !== 'state') {
+                    rejected.push({ id, error: 'State not found', code: ErrorCodes.NOT_FOUND });
+                    continue;
+                }
+
+                connection.stateSubscriptions.add(id);
+                await this.addStateSubscriber(id, connection);
+                states[id] = this.serializeState(state);
+                subscribed.push(id);
+            }
+
+            this.log.debug(`Subscribed ${subscribed.length} state(s), rejected ${rejected.length}`);
+            socket.send(JSON.stringify({ action: 'subscribeStates', success: true, data: { subscribed, rejected, states } }));
+        } catch (err) {
+            this.log.error(`Error subscribing states: ${err}`);
+            socket.send(JSON.stringify({ action: 'subscribeStates', error: 'Error subscribing states', code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    async handleUnsubscribeStates(socket, data) {
+        const connection = this.connectionOf(socket);
+        const subscriptions = connection.stateSubscriptions || new Set();
+        const ids = data && Array.isArray(data.ids) ? data.ids : Array.from(subscriptions);
+
+        try {
+            for (const id of ids) {
+                if (!subscriptions.delete(id)) continue;
+                await this.removeStateSubscriber(id, connection);
+            }
+            socket.send(JSON.stringify({ action: 'unsubscribeStates', success: true, data: { subscriptions: Array.from(subscriptions) } }));
+        } catch (err) {
+            this.log.error(`Error unsubscribing states: ${err}`);
+            socket.send(JSON.stringify({ action: 'unsubscribeStates', error: 'Error unsubscribing states', code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    async addStateSubscriber(id, connection) {
+        let subscribers = this.stateSubscribers.get(id);
+        if (!subscribers) {
+            subscribers = new Set();
+            this.stateSubscribers.set(id, subscribers);
+            // Own states are already covered by subscribeStates('*') in onReady.
+            if (!id.startsWith(`${this.namespace}.`)) {
+                await this.subscribeForeignStatesAsync(id);
+            }
+        }
+        subscribers.add(connection);
+    }
+
+    async removeStateSubscriber(id, connection) {
+        const subscribers = this.stateSubscribers.get(id);
+        if (!subscribers) return;
+        subscribers.delete(connection);
+        if (subscribers.size === 0) {
+            this.stateSubscribers.delete(id);
+            if (!id.startsWith(`${this.namespace}.`)) {
+                await this.unsubscribeForeignStatesAsync(id);
+            }
+        }
+    }
+
+    async releaseStateSubscriptions(connection) {
+        const subscriptions = connection.stateSubscriptions;
+        if (!subscriptions) return;
+        connection.stateSubscriptions = null;
+        for (const id of subscriptions) {
+            await this.removeStateSubscriber(id, connection);
+        }
+    }
+
+    pushStateChange(id, state) {
+        const subscribers = this.stateSubscribers.get(id);
+        if (!subscribers) return;
+        const payload = JSON.stringify({ action: 'stateChange', data: { id, state: this.serializeState(state) } });
+        subscribers.forEach(connection => {
+            if (connection.readyState === WebSocket.OPEN) {
+                this.sendFrame(connection, payload);
+            }
+        });
+    }
+
+    /**
+     * Sends a push in the shape the client declared in `hello`. Commands it does not
+     * understand are dropped and count as delivered, so they are not queued either.
+     */
+    sendMessageToClient(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (client && client.readyState === WebSocket.OPEN) {
+            const adapted = adaptMessageForClient(client.clientCapabilities, message);
+            if (!adapted) {
+                this.log.debug(`Message not supported by client ${clientId}, skipped: ${JSON.stringify(message)}`);
+                return true;
+            }
+            this.sendFrame(client, JSON.stringify(adapted));
+            this.log.info(`Message sent to client ${clientId}: ${JSON.stringify(message)}`);
+            return true;
+        }
+
+        return false;
+    }
+
+    sendMessageToClients(message) {
+        this.wsServer.clients.forEach(client => {
+            const adapted = adaptMessageForClient(client.clientCapabilities, message);
+            if (adapted && client.readyState === WebSocket.OPEN) {
+                this.sendFrame(client, JSON.stringify(adapted));
+                this.log.info(`Message sent to client: ${JSON.stringify(adapted)}`);
+            }
+        });
+    }
+
+    queueMessageForClient(clientId, message) {
+        if (!this.messageQueue) {
+            this.messageQueue = new Map();
+        }
+    
+        if (!this.messageQueue.has(clientId)) {
+            this.messageQueue.set(clientId, []);
+        }
+    
+        const clientQueue = this.messageQueue.get(clientId);
+        clientQueue.push(message);
+        this.messageQueue.set(clientId, clientQueue);
+    
+        this.log.debug(`Message queued for client ${clientId}: ${JSON.stringify(message)} Queue: ${JSON.stringify(Array.from(this.messageQueue.entries()))}`);
+    }
+
+    removeQueuedMessageForClient(clientId, message) {
+        if (!this.messageQueue || !this.messageQueue.has(clientId)) return;
+        const serializedMessage = JSON.stringify(message);
+        const queue = this.messageQueue.get(clientId).filter(queuedMessage => JSON.stringify(queuedMessage) !== serializedMessage);
+        if (queue.length === 0) {
+            this.messageQueue.delete(clientId);
+        } else {
+            this.messageQueue.set(clientId, queue);
+        }
+    }
+    
+
+    sendQueuedMessages(socket) {
+        
+        const clientId = socket.clientId;
+        if (!clientId || !this.messageQueue.has(clientId)) {
+            this.log.debug(`sendQueuedMessages queue for client ${clientId}`);
+            return;
+        }
+    
+        const queue = this.messageQueue.get(clientId);
+        this.log.debug(`sendQueuedMessages queue for client ${clientId}: ${JSON.stringify(queue)}`);
+    
+        while (queue.length > 0) {
+            const message = queue.shift();
+            if (socket.readyState === WebSocket.OPEN) {
+                const adapted = adaptMessageForClient(socket.clientCapabilities, message);
+                if (!adapted) continue;
+                this.sendFrame(socket, JSON.stringify(adapted));
+                this.log.info(`Queued message sent to client ${clientId}: ${JSON.stringify(message)}`);
+            } else {
+                queue.unshift(message);
+                break;
+            }
+        }
+    
+        if (queue.length === 0) {
+            this.messageQueue.delete(clientId);
+        }
+    }
+    
+
+    parseMessagePath(id) {
+        const prefix = `${this.namespace}.`;
+        if (!id || !id.startsWith(prefix)) {
+            return null;
+        }
+
+        const parts = id.slice(prefix.length).split('.');
+        if (parts[0] === 'messages' && parts.length >= 2) {
+            return {
+                scope: 'global',
+                field: parts[1],
+                basePath: `${this.namespace}.messages`,
+            };
+        }
+
+        if (parts[0] !== 'person' || parts.length < 4) {
+            return null;
+        }
+
+        const person = parts[1];
+        if (parts[2] === 'messages') {
+            return {
+                scope: 'person',
+                person,
+                field: parts[3],
+                basePath: `${this.namespace}.person.${person}.messages`,
+            };
+        }
+
+        if (parts[3] === 'messages' && parts.length >= 5) {
+            const device = parts[2];
+            return {
+                scope: 'device',
+                person,
+                device,
+                field: parts[4],
+                basePath: `${this.namespace}.person.${person}.${device}.messages`,
+            };
+        }
+
+        return null;
+    }
+
+    extractClientIdsFromStates(states) {
+        return Object.entries(states || {})
+            .filter(([id]) => !id.endsWith('.messages.ws_device_id'))
+            .map(([, state]) => state && state.val)
+            .filter(val => val)
+            .map(val => String(val));
+    }
+
+    async getMessageTargetClientIds(target) {
+        if (target.scope === 'global') {
+            const allDeviceStates = await this.getStatesAsync(`${this.namespace}.person.*.*.ws_device_id`);
+            return this.extractClientIdsFromStates(allDeviceStates);
+        }
+
+        if (target.scope === 'person') {
+            const deviceStates = await this.getStatesAsync(`${this.namespace}.person.${target.person}.*.ws_device_id`);
+            return this.extractClientIdsFromStates(deviceStates);
+        }
+
+        const deviceState = await this.getStateAsync(`${this.namespace}.person.${target.person}.${target.device}.ws_device_id`);
+        return deviceState && deviceState.val ? [String(deviceState.val)] : [];
+    }
+
+    async generatePayload(id) {
+        const target = this.parseMessagePath(id);
+        if (!target || target.field !== 'send') {
+            this.log.warn(`Cannot generate APN payload for unknown message path: ${id}`);
+            return;
+        }
+
+        const basePath = target.basePath;
+        this.log.debug(`namespace ${basePath}`);
+        try {
+            const titleState = await this.getStateAsync(`${basePath}.title`);
+            const subtitleState = await this.getStateAsync(`${basePath}.subtitle`);
+            const bodyState = await this.getStateAsync(`${basePath}.body`);
+            const bodyHtmlState = await this.getStateAsync(`${basePath}.body-html`);
+            const soundState = await this.getStateAsync(`${basePath}.sound`);
+            const interruptionLevelState = await this.getStateAsync(`${basePath}.interruption-level`);
+            const relevanceScoreState = await this.getStateAsync(`${basePath}.relevance-score`);
             const badgeState = await this.getStateAsync(`${basePath}.badge`);
             const mediaUrlState = await this.getStateAsync(`${basePath}.media-url`);
             const imageUrlState = await this.getStateAsync(`${basePath}.image-url`);
@@ -1854,6 +3929,9 @@ class Iobapp extends utils.Adapter {
     }
 
     async createAPNObjects(person, device) {
+        await this.ensureState(`${this.namespace}.person.${person}.iobroker_user`, 'ioBroker user', 'string', 'text', true);
+        await this.ensureState(`${this.namespace}.person.${person}.${device}.iobroker_user`, 'ioBroker user', 'string', 'text', true);
+
         const basePaths = [
             `${this.namespace}.person.${person}.${device}.messages`,
             `${this.namespace}.person.${person}.messages`,
@@ -1882,7 +3960,7 @@ class Iobapp extends utils.Adapter {
             await this.setObjectNotExistsAsync(basePath, {
                 type: 'channel',
                 common: { name: basePath.includes('messages') ? 'General Messages' : 'Messages' },
-                native: {},
+                native: { kind: 'messages' },
             });
 
             for (const state of commonStates) {
@@ -1918,9 +3996,808 @@ class Iobapp extends utils.Adapter {
         await this.setStateAsync(statePath, connected, true);
     }
 
+    /**
+     * Identity of a connection: the session or paired device it authenticated with,
+     * otherwise the person and device announced via setDeviceToken.
+     */
+    identityOf(socket) {
+        const connection = this.connectionOf(socket);
+        const source = connection.session || connection.pairedDevice || connection;
+        return { person: source.person || '', device: source.device || '' };
+    }
+
+    /**
+     * Identity a connection proved with a paired device key, directly or through a
+     * session created with one. Person and device announced by the client itself, also
+     * at a password login, are not part of it.
+     */
+    verifiedIdentityOf(socket) {
+        const connection = this.connectionOf(socket);
+        const session = connection.session && connection.session.verified ? connection.session : null;
+        const source = session || connection.pairedDevice || {};
+        return { person: source.person || '', device: source.device || '' };
+    }
+
+    /**
+     * Whether a person or device announced by the client differs from the identity the
+     * connection proved. Connections without a verified identity never conflict.
+     */
+    conflictsWithVerifiedIdentity(socket, person, device) {
+        const verified = this.verifiedIdentityOf(socket);
+        if (!verified.person) return false;
+        return Boolean((person && person !== verified.person) || (device && verified.device && device !== verified.device));
+    }
+
+    /**
+     * Looks up the ioBroker user linked to the connection's verified device, falling back
+     * to the one linked to the person.
+     *
+     * @returns {Promise<string | null>}
+     */
+    async iobrokerUserFor(socket) {
+        const { person, device } = this.verifiedIdentityOf(socket);
+        if (!person) return null;
+
+        const candidates = device
+            ? [`${this.namespace}.person.${person}.${device}.iobroker_user`, `${this.namespace}.person.${person}.iobroker_user`]
+            : [`${this.namespace}.person.${person}.iobroker_user`];
+        for (const id of candidates) {
+            const state = await this.getForeignStateAsync(id);
+            const user = state && state.val ? String(state.val).trim() : '';
+            if (user) {
+                return user.startsWith('system.user.') ? user : `system.user.${user}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Options for object and state calls so that js-controller checks the ACLs and group
+     * permissions of the linked ioBroker user. Until the first link is set the adapter
+     * acts with its own rights; after that, clients without a linked user are denied,
+     * except for the admin and webhooks.
+     *
+     * @returns {Promise<{ user: string } | undefined>}
+     */
+    async aclOptionsFor(socket) {
+        const user = await this.iobrokerUserFor(socket);
+        if (user) return { user };
+        if (!this.connectionOf(socket).trusted && await this.hasIobrokerUserLinks()) {
+            throw new Error('permissionError');
+        }
+        return undefined;
+    }
+
+    async hasIobrokerUserLinks() {
+        if (this.iobrokerUsersLinked === null) {
+            const states = await this.getForeignStatesAsync(`${this.namespace}.person.*.iobroker_user`);
+            this.iobrokerUsersLinked = Object.values(states || {}).some(state => Boolean(state && state.val && String(state.val).trim()));
+        }
+        return this.iobrokerUsersLinked;
+    }
+
+    isPermissionError(err) {
+        return Boolean(err) && (err.message || String(err)) === 'permissionError';
+    }
+
+    /**
+     * Paths that hold credentials or identity mappings and must never be written by the
+     * app through `set`, otherwise a device could re-link itself to another user.
+     */
+    isReservedPath(path) {
+        const segments = String(path).split('.');
+        // Battery analytics are derived by the adapter; the smart plug settings are configured by the admin.
+        const isBatteryAnalytics = segments[0] === 'person' && segments[3] === 'battery';
+        return segments[0] === 'info' || segments.includes('iobroker_user') || segments.includes('pairing') || isBatteryAnalytics;
+    }
+
     authenticate(username, password) {
         return username === this.config.username && password === this.config.password;
     }
+
+    sessionTtlMs() {
+        const minutes = Number(this.config.sessionTtlMinutes || 10080);
+        return Math.max(Number.isFinite(minutes) ? minutes : 10080, 1) * 60 * 1000;
+    }
+
+    signSessionPayload(encodedPayload) {
+        return crypto.createHmac('sha256', String(this.sessionSecret)).update(encodedPayload).digest('base64url');
+    }
+
+    issueSessionToken(session) {
+        const encodedPayload = Buffer.from(JSON.stringify({
+            sid: session.sid,
+            iat: session.issuedAt,
+            exp: session.expiresAt,
+        })).toString('base64url');
+        return `${encodedPayload}.${this.signSessionPayload(encodedPayload)}`;
+    }
+
+    /**
+     * @param {{ username?: string, person?: string, device?: string, clientId?: string, verified?: boolean }} details
+     *   `verified` only when person and device were proven with a paired device key
+     */
+    async createSession({ username, person, device, clientId, verified }) {
+        const now = Date.now();
+        const session = {
+            sid: crypto.randomUUID(),
+            username: username || '',
+            person: person || '',
+            device: device || '',
+            clientId: clientId || '',
+            verified: Boolean(verified),
+            issuedAt: now,
+            expiresAt: now + this.sessionTtlMs(),
+        };
+        this.sessions.set(session.sid, session);
+        await this.persistSessions();
+        return { session, token: this.issueSessionToken(session) };
+    }
+
+    verifySessionToken(token) {
+        if (!token || !this.sessionSecret) return null;
+        const [encodedPayload, signature] = String(token).split('.');
+        if (!encodedPayload || !signature) return null;
+
+        const expected = Buffer.from(this.signSessionPayload(encodedPayload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        } catch (err) {
+            return null;
+        }
+        return this.getActiveSession(payload && payload.sid);
+    }
+
+    getActiveSession(sid) {
+        const session = sid ? this.sessions.get(sid) : null;
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(sid);
+            return null;
+        }
+        return session;
+    }
+
+    listSessions() {
+        const now = Date.now();
+        return Array.from(this.sessions.values())
+            .filter(session => session.expiresAt > now)
+            .map(session => ({
+                sid: session.sid,
+                username: session.username,
+                person: session.person,
+                device: session.device,
+                clientId: session.clientId,
+                verified: Boolean(session.verified),
+                issuedAt: new Date(session.issuedAt).toISOString(),
+                expiresAt: new Date(session.expiresAt).toISOString(),
+            }));
+    }
+
+    async loadSessionStore() {
+        const storeId = `${this.namespace}.info.sessions`;
+        try {
+            await this.ensureChannel(`${this.namespace}.info`, 'Information');
+            await this.ensureState(storeId, 'Active app sessions', 'string', 'json');
+            // Earlier versions kept the secret unencrypted in the native part of info.sessions.
+            const storeObject = await this.getForeignObjectAsync(storeId);
+            const legacySecret = storeObject && storeObject.native && storeObject.native.secret;
+            this.sessionSecret = this.config.sessionSecret || legacySecret || crypto.randomBytes(32).toString('hex');
+            if (!this.config.sessionSecret) {
+                await this.storeSessionSecret(this.sessionSecret);
+            }
+            if (legacySecret) {
+                await this.extendForeignObjectAsync(storeId, { native: { secret: null } });
+            }
+
+            const storeState = await this.getForeignStateAsync(storeId);
+            const stored = storeState && storeState.val ? JSON.parse(String(storeState.val)) : [];
+            for (const entry of Array.isArray(stored) ? stored : []) {
+                const expiresAt = Date.parse(entry.expiresAt);
+                if (entry.sid && expiresAt > Date.now()) {
+                    this.sessions.set(entry.sid, {
+                        ...entry,
+                        issuedAt: Date.parse(entry.issuedAt) || Date.now(),
+                        expiresAt,
+                    });
+                }
+            }
+            await this.persistSessions();
+        } catch (err) {
+            this.log.warn(`Could not load session store, issuing a temporary session secret: ${err.message}`);
+            this.sessionSecret = this.sessionSecret || crypto.randomBytes(32).toString('hex');
+        }
+    }
+
+    /**
+     * Saves the session secret in the instance configuration, where it is encrypted via
+     * `encryptedNative`. Changing the instance object restarts the adapter once.
+     */
+    async storeSessionSecret(secret) {
+        await this.extendForeignObjectAsync(`system.adapter.${this.namespace}`, {
+            native: { sessionSecret: this.encrypt(secret) },
+        });
+        this.log.info('Session secret stored in the instance configuration');
+    }
+
+    async persistSessions() {
+        try {
+            await this.setStateAsync(`${this.namespace}.info.sessions`, JSON.stringify(this.listSessions()), true);
+        } catch (err) {
+            this.log.warn(`Could not persist sessions: ${err.message}`);
+        }
+    }
+
+    async revokeSessions(filter = {}) {
+        const { sid, person, device, all } = filter || {};
+        const revoked = [];
+        for (const session of Array.from(this.sessions.values())) {
+            const matches = all === true
+                || (sid && session.sid === sid)
+                || (!sid && person && session.person === person && (!device || session.device === device));
+            if (matches) {
+                this.sessions.delete(session.sid);
+                revoked.push(session.sid);
+            }
+        }
+
+        if (revoked.length > 0) {
+            if (this.wsServer) {
+                this.wsServer.clients.forEach(client => {
+                    if (client.session && revoked.includes(client.session.sid)) {
+                        client.session = null;
+                        client.close(4001, 'Session revoked');
+                    }
+                });
+            }
+            await this.persistSessions();
+            this.log.info(`Revoked ${revoked.length} app session(s)`);
+        }
+        return revoked;
+    }
+
+    async authorizeSocket(socket, parsedMessage) {
+        const { token } = parsedMessage;
+        if (token) {
+            const session = this.verifySessionToken(token);
+            socket.session = session;
+            return Boolean(session);
+        }
+
+        if (socket.session) {
+            if (this.getActiveSession(socket.session.sid)) return true;
+            socket.session = null;
+            return false;
+        }
+
+        // Username and password are only exchanged for a session token in `login`.
+        if (!parsedMessage.deviceKey && !this.config.legacyPasswordAuth) {
+            return false;
+        }
+        return this.authenticateFrame(parsedMessage, socket);
+    }
+
+    /**
+     * Checks the credentials carried by a single frame: either a paired device key
+     * or, unless pairing is required, the shared adapter username and password.
+     * Outside of `login` the password is only accepted with `legacyPasswordAuth`.
+     * A valid device key becomes the verified identity of `connection`.
+     */
+    async authenticateFrame(parsedMessage, connection) {
+        const { username, password, deviceKey, data, clientId } = parsedMessage;
+        if (deviceKey) {
+            const person = parsedMessage.person || (data && data.person);
+            const device = parsedMessage.device || (data && data.device);
+            if (!await this.authenticateDevice(person, device, deviceKey)) return false;
+            if (connection) {
+                connection.pairedDevice = { person, device, clientId: clientId || (connection.pairedDevice && connection.pairedDevice.clientId) || '' };
+            }
+            return true;
+        }
+        if (this.config.pairingRequired) {
+            return false;
+        }
+        return this.authenticate(username, password);
+    }
+
+    async authenticateDevice(person, device, deviceKey) {
+        if (!person || !device || !deviceKey) return false;
+        const hashState = await this.getStateAsync(`${this.namespace}.person.${person}.${device}.pairing.key_hash`);
+        const storedHash = hashState && hashState.val ? String(hashState.val) : '';
+        if (!storedHash) return false;
+
+        return this.secretMatchesHash(deviceKey, storedHash);
+    }
+
+    secretMatchesHash(secret, storedHash) {
+        const expected = Buffer.from(String(storedHash || ''));
+        const actual = Buffer.from(this.hashDeviceKey(secret));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    hashDeviceKey(deviceKey) {
+        return crypto.createHash('sha256').update(String(deviceKey)).digest('hex');
+    }
+
+    createPairingCode(person, device) {
+        if (!person || !device) {
+            throw new Error('Person and device are required');
+        }
+
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let code = '';
+        for (let index = 0; index < 8; index++) {
+            code += alphabet[crypto.randomInt(alphabet.length)];
+        }
+
+        const now = Date.now();
+        for (const [pendingCode, pending] of this.pairingCodes) {
+            if (pending.expiresAt <= now) this.pairingCodes.delete(pendingCode);
+        }
+        const expiresAt = now + 10 * 60 * 1000;
+        this.pairingCodes.set(code, { person: String(person), device: String(device), expiresAt });
+        this.log.info(`Pairing code created for ${person}.${device}`);
+
+        return {
+            code,
+            person: String(person),
+            device: String(device),
+            port: Number(this.config.wsPort || 9192),
+            expiresAt: new Date(expiresAt).toISOString(),
+        };
+    }
+
+    async handlePairDevice(socket, data, clientId) {
+        const code = String((data && data.code) || '').trim().toUpperCase();
+        const pending = this.pairingCodes.get(code);
+        if (!pending || pending.expiresAt <= Date.now()) {
+            this.pairingCodes.delete(code);
+            this.log.warn('Device pairing failed: unknown or expired code');
+            await this.recordAuthFailure(socket, 'pairDevice');
+            socket.send(JSON.stringify({ action: 'pairDevice', error: 'Invalid or expired pairing code', code: ErrorCodes.AUTH }));
+            return;
+        }
+        this.pairingCodes.delete(code);
+
+        const { person, device } = pending;
+        const base = `${this.namespace}.person.${person}.${device}`;
+        try {
+            const deviceKey = crypto.randomBytes(32).toString('base64url');
+            await this.ensureChannel(`${this.namespace}.person.${person}`, person);
+            await this.ensureChannel(base, device);
+            await this.ensureChannel(`${base}.pairing`, 'Pairing');
+            await this.ensureState(`${base}.pairing.paired`, 'Paired', 'boolean', 'indicator');
+            await this.ensureState(`${base}.pairing.paired_at`, 'Paired at', 'string', 'date');
+            await this.ensureState(`${base}.pairing.key_hash`, 'Device key hash', 'string', 'text');
+            await this.ensureState(`${base}.iobroker_user`, 'ioBroker user', 'string', 'text', true);
+            await this.setStateAsync(`${base}.pairing.key_hash`, this.hashDeviceKey(deviceKey), true);
+            await this.setStateAsync(`${base}.pairing.paired_at`, new Date().toISOString(), true);
+            await this.setStateAsync(`${base}.pairing.paired`, true, true);
+            this.connectionOf(socket).pairedDevice = { person, device, clientId: clientId || '' };
+
+            this.log.info(`Device ${person}.${device} paired`);
+            socket.send(JSON.stringify({ action: 'pairDevice', success: true, data: { person, device, deviceKey } }));
+        } catch (err) {
+            this.log.error(`Error pairing device ${person}.${device}: ${err}`);
+            socket.send(JSON.stringify({ action: 'pairDevice', error: `Error pairing device ${person}.${device}`, code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    async revokeDevicePairing(person, device) {
+        const base = `${this.namespace}.person.${person}.${device}`;
+        try {
+            await this.setStateAsync(`${base}.pairing.key_hash`, '', true);
+            await this.setStateAsync(`${base}.pairing.paired`, false, true);
+        } catch (err) {
+            this.log.warn(`Could not clear pairing states for ${person}.${device}: ${err.message}`);
+        }
+        await this.revokeSessions({ person, device });
+
+        if (this.wsServer) {
+            this.wsServer.clients.forEach(client => {
+                if (client.pairedDevice && client.pairedDevice.person === person && client.pairedDevice.device === device) {
+                    client.pairedDevice = null;
+                    client.close(4001, 'Device revoked');
+                }
+            });
+        }
+        this.log.info(`Device ${person}.${device} revoked`);
+    }
+
+    async handleLogin(socket, parsedMessage) {
+        const { username, clientId, deviceKey, data } = parsedMessage;
+        const person = parsedMessage.person || (data && data.person);
+        const device = parsedMessage.device || (data && data.device);
+        const connection = this.connectionOf(socket);
+        if (!await this.authenticateFrame(parsedMessage, connection)) {
+            this.log.warn('App login failed: invalid credentials');
+            await this.recordAuthFailure(socket, 'login', parsedMessage);
+            socket.send(JSON.stringify({ action: 'login', error: 'Authentication failed', code: ErrorCodes.AUTH }));
+            return;
+        }
+
+        this.clearAuthFailures(socket, parsedMessage);
+        try {
+            const { session, token } = await this.createSession({
+                username: deviceKey ? '' : username,
+                person,
+                device,
+                clientId,
+                verified: Boolean(deviceKey),
+            });
+            connection.session = session;
+            this.log.info(`App session created for ${session.person || username}${session.device ? `.${session.device}` : ''}`);
+            socket.send(JSON.stringify({
+                action: 'login',
+                success: true,
+                data: {
+                    token,
+                    expiresAt: new Date(session.expiresAt).toISOString(),
+                },
+            }));
+        } catch (err) {
+            this.log.error(`Error creating app session: ${err}`);
+            socket.send(JSON.stringify({ action: 'login', error: 'Error creating session', code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    async handleLogout(socket) {
+        const connection = this.connectionOf(socket);
+        const session = connection.session;
+        connection.session = null;
+        if (session) {
+            this.sessions.delete(session.sid);
+            await this.persistSessions();
+        }
+        socket.send(JSON.stringify({ action: 'logout', success: true }));
+    }
+
+    async handleRefreshToken(socket) {
+        const connection = this.connectionOf(socket);
+        const current = connection.session;
+        if (!current) {
+            socket.send(JSON.stringify({ action: 'refreshToken', error: 'No active session', code: ErrorCodes.AUTH }));
+            return;
+        }
+
+        try {
+            this.sessions.delete(current.sid);
+            const { session, token } = await this.createSession(current);
+            connection.session = session;
+            socket.send(JSON.stringify({
+                action: 'refreshToken',
+                success: true,
+                data: {
+                    token,
+                    expiresAt: new Date(session.expiresAt).toISOString(),
+                },
+            }));
+        } catch (err) {
+            this.log.error(`Error refreshing app session: ${err}`);
+            socket.send(JSON.stringify({ action: 'refreshToken', error: 'Error refreshing session', code: ErrorCodes.INTERNAL }));
+        }
+    }
+
+    remoteAddressOf(socket) {
+        return this.connectionOf(socket).remoteAddress || 'unknown';
+    }
+
+    /**
+     * Client address of an HTTP request or WebSocket upgrade. With `trustProxy` the
+     * address the reverse proxy appended to `X-Forwarded-For` replaces the proxy's own.
+     */
+    requestAddress(request) {
+        const peer = request && request.socket ? request.socket.remoteAddress : undefined;
+        const forwarded = this.config.trustProxy && request && request.headers ? request.headers['x-forwarded-for'] : '';
+        const addresses = String(forwarded || '').split(',').map(address => address.trim()).filter(Boolean);
+        return addresses.length > 0 ? addresses[addresses.length - 1] : peer;
+    }
+
+    /**
+     * Key failed authentications are counted under: the remote address, combined with
+     * the username for password attempts. Guessing passwords therefore locks out only
+     * that username from that address, not every app behind the same reverse proxy.
+     */
+    authFailureKey(socket, frame) {
+        const address = this.remoteAddressOf(socket);
+        const username = frame && !frame.deviceKey && frame.username ? String(frame.username) : '';
+        return username ? `${address}|${username}` : address;
+    }
+
+    /**
+     * Counts frames per connection in a one minute window. The first frame over the
+     * limit gets an E_RATE_LIMITED reply, later ones are dropped, and connections that
+     * keep sending at twice the limit are closed.
+     */
+    checkMessageRate(socket) {
+        const connection = this.connectionOf(socket);
+        const retryAfterSeconds = this.countMessageRate(connection, this.remoteAddressOf(socket));
+        if (retryAfterSeconds === 0) return true;
+
+        const limit = this.messageRateLimit();
+        if (connection.rateWindowCount === limit + 1) {
+            this.sendFrame(connection, JSON.stringify({ error: 'Rate limit exceeded', code: ErrorCodes.RATE_LIMITED, retryAfterSeconds }));
+        } else if (connection.rateWindowCount > limit * 2 && typeof connection.close === 'function') {
+            this.log.warn(`Closing connection of ${this.remoteAddressOf(socket)} after ${connection.rateWindowCount} messages within one minute`);
+            connection.close(1008, 'Rate limit exceeded');
+        }
+        return false;
+    }
+
+    messageRateLimit() {
+        return Number(this.config.messageRateLimitPerMinute === undefined ? 300 : this.config.messageRateLimitPerMinute);
+    }
+
+    /**
+     * Counts one frame in the rate window kept on `holder`, a connection or the window of
+     * a REST client. Returns 0 within the limit, otherwise the seconds until the window
+     * ends.
+     */
+    countMessageRate(holder, address) {
+        const limit = this.messageRateLimit();
+        if (!(limit > 0)) return 0;
+
+        const now = Date.now();
+        if (!holder.rateWindowStart || now - holder.rateWindowStart >= 60 * 1000) {
+            holder.rateWindowStart = now;
+            holder.rateWindowCount = 0;
+        }
+        holder.rateWindowCount += 1;
+        if (holder.rateWindowCount <= limit) return 0;
+
+        if (holder.rateWindowCount === limit + 1) {
+            this.log.warn(`Rate limit exceeded by ${address}: more than ${limit} messages per minute`);
+        }
+        return Math.max(Math.ceil((holder.rateWindowStart + 60 * 1000 - now) / 1000), 1);
+    }
+
+    addressLockoutRemainingMs(key) {
+        const entry = this.authFailures.get(key);
+        if (!entry || !entry.blockedUntil) return 0;
+        return Math.max(entry.blockedUntil - Date.now(), 0);
+    }
+
+    /**
+     * Records a failed authentication under the key of `authFailureKey`. Every
+     * `bruteForceMaxFailures` failures lock the key out; each further lockout within
+     * a day doubles the duration, starting at `bruteForceLockoutSeconds`.
+     */
+    async recordAuthFailure(socket, reason, frame) {
+        const address = this.remoteAddressOf(socket);
+        const key = this.authFailureKey(socket, frame);
+        const now = Date.now();
+        const maxFailures = Math.max(Number(this.config.bruteForceMaxFailures) || 5, 1);
+        const baseLockoutMs = Math.max(Number(this.config.bruteForceLockoutSeconds) || 60, 1) * 1000;
+
+        let entry = this.authFailures.get(key);
+        if (!entry || now - entry.lastFailureAt > 24 * 60 * 60 * 1000) {
+            entry = { address, username: key === address ? '' : String(frame.username), failures: 0, lockouts: 0, blockedUntil: 0, lastFailureAt: now };
+            this.authFailures.set(key, entry);
+        }
+        entry.failures += 1;
+        entry.lastFailureAt = now;
+        this.authFailuresTotal += 1;
+        this.recentAuthFailures.unshift({ address, reason, at: new Date(now).toISOString() });
+        this.recentAuthFailures.length = Math.min(this.recentAuthFailures.length, 50);
+
+        if (entry.failures >= maxFailures) {
+            const lockoutMs = Math.min(baseLockoutMs * 2 ** entry.lockouts, 24 * 60 * 60 * 1000);
+            entry.lockouts += 1;
+            entry.failures = 0;
+            entry.blockedUntil = now + lockoutMs;
+            this.log.warn(`Blocking ${entry.username ? `${entry.username} from ` : ''}${address} for ${Math.round(lockoutMs / 1000)}s after ${maxFailures} failed authentication attempts`);
+        }
+        await this.updateSecurityStates();
+    }
+
+    clearAuthFailures(socket, frame) {
+        const entry = this.authFailures.get(this.authFailureKey(socket, frame));
+        if (entry) {
+            entry.failures = 0;
+        }
+    }
+
+    listBlockedAddresses() {
+        const now = Date.now();
+        const blocked = [];
+        this.authFailures.forEach(entry => {
+            if (entry.blockedUntil > now) {
+                blocked.push({
+                    address: entry.address,
+                    ...(entry.username ? { username: entry.username } : {}),
+                    until: new Date(entry.blockedUntil).toISOString(),
+                    lockouts: entry.lockouts,
+                });
+            }
+        });
+        return blocked;
+    }
+
+    async ensureSecurityObjects() {
+        try {
+            await this.ensureChannel(`${this.namespace}.info.security`, 'Security');
+            await this.ensureState(`${this.namespace}.info.security.blocked_ips`, 'Blocked addresses', 'string', 'json');
+            await this.ensureState(`${this.namespace}.info.security.blocked_count`, 'Blocked address count', 'number', 'value');
+            await this.ensureState(`${this.namespace}.info.security.recent_failures`, 'Recent authentication failures', 'string', 'json');
+            await this.ensureState(`${this.namespace}.info.security.failed_total`, 'Failed authentications since start', 'number', 'value');
+            await this.updateSecurityStates();
+        } catch (err) {
+            this.log.warn(`Could not create security states: ${err.message}`);
+        }
+    }
+
+    async updateSecurityStates() {
+        const blocked = this.listBlockedAddresses();
+        try {
+            await this.setStateAsync(`${this.namespace}.info.security.blocked_ips`, JSON.stringify(blocked), true);
+            await this.setStateAsync(`${this.namespace}.info.security.blocked_count`, blocked.length, true);
+            await this.setStateAsync(`${this.namespace}.info.security.recent_failures`, JSON.stringify(this.recentAuthFailures), true);
+            await this.setStateAsync(`${this.namespace}.info.security.failed_total`, this.authFailuresTotal, true);
+        } catch (err) {
+            this.log.warn(`Could not update security states: ${err.message}`);
+        }
+    }
+
+    startSecurityMonitor() {
+        if (this.securityInterval) {
+            clearInterval(this.securityInterval);
+        }
+        this.securityInterval = setInterval(() => {
+            const now = Date.now();
+            let expired = false;
+            this.authFailures.forEach((entry, key) => {
+                if (entry.blockedUntil && entry.blockedUntil <= now) {
+                    entry.blockedUntil = 0;
+                    expired = true;
+                }
+                if (now - entry.lastFailureAt > 24 * 60 * 60 * 1000) {
+                    this.authFailures.delete(key);
+                }
+            });
+            if (expired) {
+                this.updateSecurityStates();
+            }
+        }, 60 * 1000);
+    }
+
+    /**
+     * Describes every open WebSocket connection for `info.clients.connected`.
+     */
+    listConnectedClients() {
+        const clients = [];
+        const toIso = ms => (ms ? new Date(ms).toISOString() : null);
+        (this.wsServer ? this.wsServer.clients : new Set()).forEach(socket => {
+            if (socket.readyState !== WebSocket.OPEN) return;
+            const { person, device } = this.identityOf(socket);
+            const client = socket.clientCapabilities;
+            clients.push({
+                connectionId: socket.connectionId,
+                clientId: socket.clientId || null,
+                person: person || null,
+                device: device || null,
+                remoteAddress: socket.remoteAddress || null,
+                appVersion: client && client.appVersion ? client.appVersion : null,
+                protocolVersion: client ? client.protocolVersion : null,
+                encoding: socket.encoding || 'json',
+                connectedSince: toIso(socket.connectedAt),
+                messagesIn: socket.messagesIn || 0,
+                messagesOut: socket.messagesOut || 0,
+                lastActivity: toIso(socket.lastActivityAt),
+            });
+        });
+        return clients;
+    }
+
+    async ensureClientRegistryObjects() {
+        try {
+            await this.ensureChannel(`${this.namespace}.info.clients`, 'Connected clients');
+            await this.ensureState(`${this.namespace}.info.clients.connected`, 'Connected clients', 'string', 'json');
+            await this.ensureState(`${this.namespace}.info.clients.count`, 'Connected client count', 'number', 'value');
+            await this.updateClientRegistry();
+        } catch (err) {
+            this.log.warn(`Could not create client registry states: ${err.message}`);
+        }
+    }
+
+    async updateClientRegistry() {
+        this.clientRegistryDirty = false;
+        const clients = this.listConnectedClients();
+        try {
+            await this.setStateAsync(`${this.namespace}.info.clients.connected`, JSON.stringify(clients), true);
+            await this.setStateAsync(`${this.namespace}.info.clients.count`, clients.length, true);
+        } catch (err) {
+            this.log.warn(`Could not update client registry states: ${err.message}`);
+        }
+    }
+
+    /**
+     * Writes connects, disconnects and device registrations within a second, so that a
+     * burst of reconnects after a restart results in a single update.
+     */
+    scheduleClientRegistryUpdate() {
+        // Keep the list from before the shutdown, it is used to wake the apps after the restart.
+        if (this.clientRegistryTimer || this.unloading) return;
+        this.clientRegistryTimer = setTimeout(() => {
+            this.clientRegistryTimer = null;
+            this.updateClientRegistry();
+        }, 1000);
+    }
+
+    /**
+     * Tells connected apps that the adapter is going away, so that they reconnect after
+     * the suggested delay instead of backing off as after a network failure. The delay
+     * gets up to five seconds of jitter per client to spread the reconnects.
+     */
+    announceShutdown() {
+        if (!this.wsServer) return;
+        const delaySeconds = Number(this.config.shutdownReconnectDelaySeconds === undefined ? 10 : this.config.shutdownReconnectDelaySeconds);
+        const baseDelayMs = Math.max(delaySeconds, 0) * 1000;
+        this.wsServer.clients.forEach(socket => {
+            if (socket.readyState !== WebSocket.OPEN) return;
+            try {
+                this.sendFrame(socket, JSON.stringify({
+                    action: 'serverShutdown',
+                    data: { reconnectDelayMs: baseDelayMs + Math.floor(Math.random() * 5000) },
+                }));
+                socket.close(1001, 'Adapter shutting down');
+            } catch (err) {
+                this.log.debug(`Could not announce shutdown to a client: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * Reads the registry written before the last shutdown.
+     *
+     * @returns {Promise<{ clientId: string, person: string | null, device: string | null }[]>}
+     */
+    async loadPreviousClients() {
+        try {
+            const state = await this.getStateAsync(`${this.namespace}.info.clients.connected`);
+            const clients = state && state.val ? JSON.parse(String(state.val)) : [];
+            return Array.isArray(clients) ? clients.filter(client => client && client.clientId) : [];
+        } catch (err) {
+            this.log.debug(`Could not read previous clients: ${err.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Wakes apps that were connected before a restart via silent push, once they had the
+     * chance to reconnect on their own. Apps that are back by then are skipped.
+     */
+    scheduleRestartWake(previousClients) {
+        if (!this.config.wakeAfterRestart || !this.isRelayEnabled() || previousClients.length === 0) return;
+        const delaySeconds = Number(this.config.shutdownReconnectDelaySeconds === undefined ? 10 : this.config.shutdownReconnectDelaySeconds);
+        const waitMs = (Math.max(delaySeconds, 0) + 30) * 1000;
+        this.log.info(`Waking ${previousClients.length} app(s) connected before the restart in ${Math.round(waitMs / 1000)}s unless they reconnect`);
+        this.restartWakeTimer = setTimeout(async () => {
+            this.restartWakeTimer = null;
+            for (const { clientId } of previousClients) {
+                const client = this.clients.get(clientId);
+                if (client && client.readyState === WebSocket.OPEN) continue;
+                await this.wakeRelayDevice(clientId, 'adapter_restart');
+            }
+        }, waitMs);
+    }
+
+    /**
+     * Message counters and activity are flushed every 15 seconds while they change.
+     */
+    startClientRegistryMonitor() {
+        if (this.clientRegistryInterval) {
+            clearInterval(this.clientRegistryInterval);
+        }
+        this.clientRegistryInterval = setInterval(() => {
+            if (this.clientRegistryDirty && !this.unloading) {
+                this.updateClientRegistry();
+            }
+        }, 15 * 1000);
+    }
 }
 
 if (require.main !== module) {
@@ -4,6 +4,7 @@ const { expect } = require("chai");
 const { readFileSync } = require("fs");
 const { join } = require("path");
 const proxyquire = require("proxyquire").noCallThru();
+const sinon = require("sinon");
 
 class FakeAdapter {
 	constructor(options) {
@@ -20,6 +21,10 @@ class FakeAdapter {
 	}
 
 	on() {}
+
+	async getForeignStatesAsync() {
+		return {};
+	}
 }
 
 function makeAdapter() {
@@ -31,6 +36,39 @@ function makeAdapter() {
 	return createAdapter({});
 }
 
+function makeAuthorizedAdapter() {
+	const adapter = makeAdapter();
+	adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+	return adapter;
+}
+
+function matches(pattern, id) {
+	const regex = new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^]*")}$`);
+	return regex.test(id);
+}
+
+/** Adapter that keeps objects and states in the given maps. */
+function makeStoreAdapter(objects = {}, states = {}) {
+	const adapter = makeAdapter();
+	adapter.getForeignObjectAsync = async id => objects[id] || null;
+	adapter.getForeignObjectsAsync = async (pattern, type) => Object.fromEntries(Object.entries(objects)
+		.filter(([id, object]) => matches(pattern, id) && (!type || object.type === type)));
+	adapter.setForeignObjectAsync = async (id, object) => { objects[id] = object; };
+	adapter.setObjectNotExistsAsync = async (id, object) => { objects[id] = objects[id] || object; };
+	adapter.setForeignObjectNotExistsAsync = async (id, object) => { objects[id] = objects[id] || object; };
+	adapter.extendForeignObjectAsync = async (id, object) => {
+		const current = objects[id] || {};
+		objects[id] = { ...current, ...object, common: { ...current.common, ...object.common } };
+	};
+	adapter.delForeignObjectAsync = async id => {
+		Object.keys(objects).filter(key => key === id || key.startsWith(`${id}.`)).forEach(key => delete objects[key]);
+	};
+	adapter.getForeignStateAsync = async id => states[id] || null;
+	adapter.getForeignStatesAsync = async pattern => Object.fromEntries(Object.entries(states).filter(([id]) => matches(pattern, id)));
+	adapter.setForeignStateAsync = async (id, state) => { states[id] = state; };
+	return { adapter, objects, states };
+}
+
 function makeSocket() {
 	return {
 		/** @type {any[]} */
@@ -78,9 +116,20 @@ describe("Protocol v2 WebSocket contract", () => {
 
 		expect(socket.sent).to.have.length(1);
 		expect(socket.sent[0]).to.deep.include({ action: "hello" });
-		expect(socket.sent[0].data.protocolVersion).to.equal(2);
+		expect(socket.sent[0].data.protocolVersion).to.equal(3);
 		expect(socket.sent[0].data.adapterVersion).to.equal("0.2.1");
 		expect(socket.sent[0].data.capabilities).to.include.members([
+			"msgpack",
+			"permessageDeflate",
+			"clientCapabilities",
+			"requestIds",
+			"errorCodes",
+			"batch",
+			"stateSubscriptions",
+			"stateControl",
+			"restApi",
+			"webhooks",
+			"sessionTokens",
 			"getActionCatalog",
 			"executeAction",
 			"requestSensorRefresh",
@@ -90,6 +139,13 @@ describe("Protocol v2 WebSocket contract", () => {
 			"indoorPositioning",
 		]);
 		expect(socket.sent[0].data.supportedActions).to.include.members([
+			"login",
+			"logout",
+			"refreshToken",
+			"batch",
+			"subscribeStates",
+			"unsubscribeStates",
+			"controlState",
 			"setDeviceToken",
 			"set",
 			"setPresence",
@@ -1073,3 +1129,2220 @@ describe("NFC tag routing", () => {
 		});
 	});
 });
+
+describe("Session tokens", () => {
+	function makeSessionAdapter() {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", sessionTtlMinutes: 60 };
+		adapter.sessionSecret = "test-secret";
+		adapter.setStateAsync = async () => {};
+		return adapter;
+	}
+
+	it("exchanges credentials for a token that authenticates later frames", async () => {
+		const adapter = makeSessionAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "login",
+			username: "jan",
+			password: "secret",
+			clientId: "jan-phone",
+			data: { person: "Jan", device: "iPhone" },
+		}));
+
+		expect(socket.sent[0]).to.deep.include({ action: "login", success: true });
+		const { token, expiresAt } = socket.sent[0].data;
+		expect(Date.parse(expiresAt)).to.be.greaterThan(Date.now());
+		expect(adapter.listSessions()).to.have.length(1);
+		expect(adapter.listSessions()[0]).to.deep.include({ person: "Jan", device: "iPhone", clientId: "jan-phone" });
+
+		const reconnected = makeSocket();
+		await adapter.handleWebSocketMessage(reconnected, JSON.stringify({ action: "requestSensorRefresh", token }));
+		await adapter.handleWebSocketMessage(reconnected, JSON.stringify({ action: "requestSensorRefresh" }));
+
+		expect(reconnected.sent).to.deep.equal([
+			{ action: "requestSensorRefresh", success: true },
+			{ action: "requestSensorRefresh", success: true },
+		]);
+	});
+
+	it("rejects bad credentials, tampered tokens and revoked sessions", async () => {
+		const adapter = makeSessionAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "login", username: "jan", password: "wrong" }));
+		expect(socket.sent[0]).to.deep.equal({ action: "login", error: "Authentication failed", code: "E_AUTH" });
+
+		const { session, token } = await adapter.createSession({ username: "jan", person: "Jan", device: "iPhone" });
+		const [payload, signature] = token.split(".");
+		const forged = `${Buffer.from(JSON.stringify({ sid: session.sid, exp: Date.now() + 1e9 })).toString("base64url")}.${signature}`;
+		expect(adapter.verifySessionToken(`${payload}.${signature}`)).to.equal(session);
+		expect(adapter.verifySessionToken(forged)).to.equal(null);
+
+		const revoked = await adapter.revokeSessions({ person: "Jan", device: "iPhone" });
+		expect(revoked).to.deep.equal([session.sid]);
+
+		const other = makeSocket();
+		await adapter.handleWebSocketMessage(other, JSON.stringify({ action: "requestSensorRefresh", token }));
+		expect(other.sent).to.deep.equal([{ error: "Authentication failed", code: "E_AUTH" }]);
+	});
+
+	it("rotates tokens on refreshToken and drops the session on logout", async () => {
+		const adapter = makeSessionAdapter();
+		const socket = makeSocket();
+		const { token } = await adapter.createSession({ username: "jan" });
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "refreshToken", token }));
+		const refreshed = socket.sent[0].data.token;
+		expect(refreshed).to.not.equal(token);
+		expect(adapter.verifySessionToken(token)).to.equal(null);
+		expect(adapter.verifySessionToken(refreshed)).to.not.equal(null);
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "logout" }));
+		expect(socket.sent[1]).to.deep.equal({ action: "logout", success: true });
+		expect(adapter.sessions.size).to.equal(0);
+	});
+
+	it("accepts username and password frames only with legacyPasswordAuth", async () => {
+		const adapter = makeSessionAdapter();
+		const socket = makeSocket();
+		const frame = JSON.stringify({ action: "requestSensorRefresh", username: "jan", password: "secret" });
+
+		await adapter.handleWebSocketMessage(socket, frame);
+		adapter.config.legacyPasswordAuth = true;
+		await adapter.handleWebSocketMessage(socket, frame);
+
+		expect(socket.sent).to.deep.equal([
+			{ error: "Authentication failed", code: "E_AUTH" },
+			{ action: "requestSensorRefresh", success: true },
+		]);
+	});
+});
+
+describe("Device pairing", () => {
+	function makePairingAdapter() {
+		const adapter = makeAdapter();
+		const states = {};
+		adapter.config = { username: "family", password: "secret", legacyPasswordAuth: true, wsPort: 9192 };
+		adapter.sessionSecret = "test-secret";
+		adapter.setObjectNotExistsAsync = async () => {};
+		adapter.getStateAsync = async id => states[id] || null;
+		adapter.setStateAsync = async (id, val) => {
+			states[id] = { val };
+		};
+		return { adapter, states };
+	}
+
+	it("redeems a one-time pairing code for a per-device key", async () => {
+		const { adapter, states } = makePairingAdapter();
+		const pairing = adapter.createPairingCode("Anna", "iPhone");
+		expect(pairing).to.deep.include({ person: "Anna", device: "iPhone", port: 9192 });
+		expect(pairing.code).to.match(/^[A-Z2-9]{8}$/);
+
+		const socket = makeSocket();
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "pairDevice", clientId: "anna-phone", data: { code: pairing.code.toLowerCase() } }));
+
+		expect(socket.sent[0]).to.deep.include({ action: "pairDevice", success: true });
+		const { deviceKey } = socket.sent[0].data;
+		expect(states["iobapp.0.person.Anna.iPhone.pairing.paired"].val).to.equal(true);
+		expect(states["iobapp.0.person.Anna.iPhone.pairing.key_hash"].val).to.equal(adapter.hashDeviceKey(deviceKey));
+		expect(states["iobapp.0.person.Anna.iPhone.pairing.key_hash"].val).to.not.equal(deviceKey);
+
+		const reused = makeSocket();
+		await adapter.handleWebSocketMessage(reused, JSON.stringify({ action: "pairDevice", data: { code: pairing.code } }));
+		expect(reused.sent).to.deep.equal([{ action: "pairDevice", error: "Invalid or expired pairing code", code: "E_AUTH" }]);
+
+		const login = makeSocket();
+		await adapter.handleWebSocketMessage(login, JSON.stringify({ action: "login", deviceKey, data: { person: "Anna", device: "iPhone" } }));
+		expect(login.sent[0]).to.deep.include({ action: "login", success: true });
+		expect(adapter.listSessions()[0]).to.deep.include({ person: "Anna", device: "iPhone" });
+	});
+
+	it("revokes a single device without touching the shared password", async () => {
+		const { adapter } = makePairingAdapter();
+		const pairing = adapter.createPairingCode("Anna", "iPad");
+		const socket = makeSocket();
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "pairDevice", data: { code: pairing.code } }));
+		const { deviceKey } = socket.sent[0].data;
+
+		await adapter.revokeDevicePairing("Anna", "iPad");
+
+		expect(await adapter.authenticateDevice("Anna", "iPad", deviceKey)).to.equal(false);
+		expect(await adapter.authenticateFrame({ username: "family", password: "secret" })).to.equal(true);
+	});
+
+	it("rejects the shared password when pairing is required", async () => {
+		const { adapter } = makePairingAdapter();
+		adapter.config.pairingRequired = true;
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "requestSensorRefresh", username: "family", password: "secret" }));
+
+		expect(socket.sent).to.deep.equal([{ error: "Authentication failed", code: "E_AUTH" }]);
+	});
+});
+
+describe("WebSocket TLS", () => {
+	it("does not fall back to cleartext when the selected certificates are missing", async () => {
+		const adapter = makeAdapter();
+		const errors = [];
+		adapter.config = { wsSecure: true, wsCertPublic: "missingPublic", wsCertPrivate: "missingPrivate" };
+		adapter.log.error = message => errors.push(message);
+		adapter.getCertificatesAsync = async (publicName, privateName) => {
+			expect([publicName, privateName]).to.deep.equal(["missingPublic", "missingPrivate"]);
+			return [{ key: "", cert: "" }];
+		};
+
+		await adapter.initializeWebSocket(0);
+
+		expect(adapter.server).to.equal(null);
+		expect(adapter.wsServer).to.equal(null);
+		expect(errors[0]).to.contain("certificates could not be loaded");
+	});
+
+	it("reloads the TLS context when system.certificates changes", async () => {
+		const adapter = makeAdapter();
+		const contexts = [];
+		adapter.config = { wsSecure: true, wsCertPublic: "letsencrypt", wsCertPrivate: "letsencryptKey" };
+		adapter.server = { setSecureContext: context => contexts.push(context) };
+		adapter.getCertificatesAsync = async () => [{ key: "new-key", cert: "new-cert" }];
+
+		await adapter.onObjectChange("system.certificates");
+		await adapter.onObjectChange("system.config");
+
+		expect(contexts).to.deep.equal([{ key: "new-key", cert: "new-cert" }]);
+	});
+});
+
+describe("WebSocket heartbeat", () => {
+	function makeLiveSocket(overrides = {}) {
+		return {
+			readyState: 1,
+			pings: 0,
+			terminated: false,
+			ping() {
+				this.pings += 1;
+			},
+			terminate() {
+				this.terminated = true;
+				this.readyState = 3;
+			},
+			send() {},
+			...overrides,
+		};
+	}
+
+	it("terminates sockets without pong and resets their connection state", async () => {
+		const adapter = makeAdapter();
+		const states = [];
+		adapter.config = { heartbeatTimeoutSeconds: 60 };
+		adapter.setObjectNotExistsAsync = async () => {};
+		adapter.setStateAsync = async (id, val, ack) => states.push({ id, val, ack });
+		const stale = makeLiveSocket({ person: "Jan", device: "iPhone", clientId: "jan-phone", lastPongAt: Date.now() - 61000 });
+		const alive = makeLiveSocket({ person: "Eva", device: "iPhone", clientId: "eva-phone", lastPongAt: Date.now() - 5000 });
+		adapter.clients.set("jan-phone", stale);
+		adapter.clients.set("eva-phone", alive);
+		adapter.wsServer = { clients: new Set([stale, alive]) };
+
+		adapter.checkSocketHeartbeats();
+		await new Promise(resolve => setImmediate(resolve));
+
+		expect(stale.terminated).to.equal(true);
+		expect(alive.terminated).to.equal(false);
+		expect(alive.pings).to.equal(1);
+		expect(Array.from(adapter.clients.keys())).to.deep.equal(["eva-phone"]);
+		expect(states).to.deep.equal([
+			{ id: "iobapp.0.person.Jan.iPhone.connection", val: false, ack: true },
+		]);
+		expect(adapter.sendMessageToClient("jan-phone", { action: "notification" })).to.equal(false);
+	});
+
+	it("cleans up a terminated socket once when its close event follows", () => {
+		const adapter = makeAdapter();
+		const resets = [];
+		const released = [];
+		adapter.setConnectionState = async devicePath => {
+			resets.push(devicePath);
+		};
+		adapter.releaseStateSubscriptions = async socket => {
+			released.push(socket);
+		};
+		const stale = makeLiveSocket({ person: "Jan", device: "iPhone", lastPongAt: 0 });
+		adapter.clients.set("jan-phone", stale);
+		adapter.wsServer = { clients: new Set([stale]) };
+
+		adapter.checkSocketHeartbeats();
+		adapter.handleSocketClosed(stale);
+
+		expect(resets).to.deep.equal(["Jan.iPhone"]);
+		expect(released).to.have.length(1);
+	});
+
+	it("only resets the connection state when the closed socket is the registered one", () => {
+		const adapter = makeAdapter();
+		const resets = [];
+		adapter.setConnectionState = async devicePath => {
+			resets.push(devicePath);
+		};
+		const previous = makeLiveSocket({ person: "Jan", device: "iPhone" });
+		const current = makeLiveSocket({ person: "Jan", device: "iPhone" });
+		adapter.clients.set("jan-phone", current);
+
+		adapter.handleSocketClosed(previous);
+
+		expect(resets).to.deep.equal([]);
+		expect(adapter.clients.get("jan-phone")).to.equal(current);
+	});
+});
+
+describe("Request correlation", () => {
+	it("echoes the requestId in success replies", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+		const states = [];
+		adapter.getForeignObjectAsync = async () => ({ type: "state" });
+		adapter.setForeignStateAsync = async (id, state) => states.push({ id, state });
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "set",
+			requestId: "req-1",
+			username: "jan",
+			password: "secret",
+			data: { path: "person.Jan.iPhone.sensors.battery", value: 80 },
+		}));
+		await new Promise(resolve => setImmediate(resolve));
+
+		expect(states).to.deep.equal([{ id: "iobapp.0.person.Jan.iPhone.sensors.battery", state: { val: 80, ack: true } }]);
+		expect(socket.sent).to.deep.equal([{ action: "set", success: true, requestId: "req-1" }]);
+	});
+
+	it("echoes the requestId in authentication, validation and unknown action errors", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "nope", requestId: 7, username: "jan", password: "secret" }));
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "hello", requestId: 8, username: "jan", password: "wrong" }));
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "setDeviceToken", requestId: "req-9", username: "jan", password: "secret" }));
+		await adapter.handleWebSocketMessage(socket, "{not json");
+
+		expect(socket.sent).to.deep.equal([
+			{ action: "nope", error: "Unknown action", code: "E_UNKNOWN_ACTION", requestId: 7 },
+			{ error: "Authentication failed", code: "E_AUTH", requestId: 8 },
+			{
+				action: "setDeviceToken",
+				error: "Invalid data",
+				code: "E_VALIDATION",
+				errors: [{ field: "data", message: "is required" }],
+				requestId: "req-9",
+			},
+			{ error: "Invalid message format", code: "E_INVALID_FRAME" },
+		]);
+	});
+
+	it("keeps replies unchanged for frames without requestId", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "requestSensorRefresh", requestId: { nested: true }, username: "jan", password: "secret" }));
+
+		expect(socket.sent).to.deep.equal([{ action: "requestSensorRefresh", success: true }]);
+	});
+});
+
+describe("Frame validation", () => {
+	it("rejects postDevices without sensors with the offending field", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+		let written = false;
+		adapter.setObjectNotExistsAsync = async () => { written = true; };
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "postDevices",
+			username: "jan",
+			password: "secret",
+			data: { person: "Jan", device: "iPhone" },
+		}));
+
+		expect(written).to.equal(false);
+		expect(socket.sent).to.deep.equal([{
+			action: "postDevices",
+			error: "Invalid data",
+			code: "E_VALIDATION",
+			errors: [{ field: "data.sensors", message: "is required" }],
+		}]);
+	});
+
+	it("reports nested field paths for invalid sensor entries", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "postDevices",
+			username: "jan",
+			password: "secret",
+			data: { person: "Jan", device: "iPhone", sensors: [{ id: "battery" }, { id: 5 }, { id: "gps", type: "float" }] },
+		}));
+
+		expect(socket.sent[0].code).to.equal("E_VALIDATION");
+		expect(socket.sent[0].errors).to.deep.equal([
+			{ field: "data.sensors[1].id", message: "must be of type string" },
+			{ field: "data.sensors[2].type", message: "must be one of number, string, boolean, array, object, mixed, json, file" },
+		]);
+	});
+
+	it("rejects set paths with wildcards or empty segments", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+		const states = [];
+		adapter.setForeignStateAsync = async (id, state) => states.push({ id, state });
+
+		for (const path of ["person.*.iPhone.battery", "person..battery"]) {
+			await adapter.handleWebSocketMessage(socket, JSON.stringify({
+				action: "set",
+				username: "jan",
+				password: "secret",
+				data: { path, value: 1 },
+			}));
+		}
+
+		expect(states).to.deep.equal([]);
+		expect(socket.sent.map(reply => reply.errors)).to.deep.equal([
+			[{ field: "data.path", message: "contains invalid characters" }],
+			[{ field: "data.path", message: "contains invalid characters" }],
+		]);
+	});
+
+	it("reports unknown tags as E_NOT_FOUND", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+		adapter.getForeignObjectAsync = async () => null;
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "tagsTrigger",
+			username: "jan",
+			password: "secret",
+			data: { tagId: "garage" },
+		}));
+
+		expect(socket.sent).to.have.lengthOf(1);
+		expect(socket.sent[0]).to.include({ action: "tagsTrigger", code: "E_NOT_FOUND" });
+	});
+});
+
+describe("Brute-force protection", () => {
+	function makeProtectedAdapter(config = {}) {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true, bruteForceMaxFailures: 3, bruteForceLockoutSeconds: 60, ...config };
+		adapter.states = {};
+		adapter.setStateAsync = async (id, val) => {
+			adapter.states[id] = val;
+		};
+		return adapter;
+	}
+
+	function makeRemoteSocket(address) {
+		const socket = makeSocket();
+		socket.remoteAddress = address;
+		return socket;
+	}
+
+	it("locks an address out after repeated failed logins and doubles the next lockout", async () => {
+		const adapter = makeProtectedAdapter();
+		const attacker = makeRemoteSocket("203.0.113.5");
+		const login = password => JSON.stringify({ action: "login", username: "jan", password });
+
+		for (let i = 0; i < 3; i++) {
+			await adapter.handleWebSocketMessage(attacker, login("guess"));
+		}
+		await adapter.handleWebSocketMessage(attacker, login("secret"));
+
+		expect(attacker.sent.slice(0, 3).map(reply => reply.code)).to.deep.equal(["E_AUTH", "E_AUTH", "E_AUTH"]);
+		expect(attacker.sent[3]).to.deep.equal({
+			action: "login",
+			error: "Too many failed attempts",
+			code: "E_LOCKED",
+			retryAfterSeconds: 60,
+		});
+		expect(adapter.addressLockoutRemainingMs("198.51.100.7|jan")).to.equal(0);
+
+		adapter.authFailures.get("203.0.113.5|jan").blockedUntil = Date.now() - 1;
+		for (let i = 0; i < 3; i++) {
+			await adapter.handleWebSocketMessage(attacker, login("guess"));
+		}
+		expect(adapter.addressLockoutRemainingMs("203.0.113.5|jan")).to.be.within(119 * 1000, 120 * 1000);
+	});
+
+	it("publishes blocked addresses and recent failures under info.security", async () => {
+		const adapter = makeProtectedAdapter({ bruteForceMaxFailures: 2 });
+		const socket = makeRemoteSocket("203.0.113.5");
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "hello", username: "jan", password: "nope" }));
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "login", username: "jan", password: "nope" }));
+
+		const blocked = JSON.parse(adapter.states["iobapp.0.info.security.blocked_ips"]);
+		expect(blocked).to.have.lengthOf(1);
+		expect(blocked[0]).to.include({ address: "203.0.113.5", username: "jan", lockouts: 1 });
+		expect(adapter.states["iobapp.0.info.security.blocked_count"]).to.equal(1);
+		expect(adapter.states["iobapp.0.info.security.failed_total"]).to.equal(2);
+		expect(JSON.parse(adapter.states["iobapp.0.info.security.recent_failures"]).map(entry => entry.reason))
+			.to.deep.equal(["login", "frame:hello"]);
+	});
+
+	it("keys lockouts on the forwarded address and username behind a trusted proxy", async () => {
+		const adapter = makeProtectedAdapter({ trustProxy: true });
+		const request = forwardedFor => ({ socket: { remoteAddress: "10.0.0.2" }, headers: { "x-forwarded-for": forwardedFor } });
+		const attacker = makeRemoteSocket(adapter.requestAddress(request("198.51.100.1, 203.0.113.5")));
+		const neighbour = makeRemoteSocket(adapter.requestAddress(request("198.51.100.7")));
+		const login = (username, password) => JSON.stringify({ action: "login", username, password });
+
+		for (let i = 0; i < 3; i++) {
+			await adapter.handleWebSocketMessage(attacker, login("jan", "guess"));
+		}
+		await adapter.handleWebSocketMessage(attacker, login("anna", "secret"));
+		await adapter.handleWebSocketMessage(neighbour, login("jan", "secret"));
+
+		expect(attacker.remoteAddress).to.equal("203.0.113.5");
+		expect(attacker.sent[3]).to.deep.include({ action: "login", code: "E_AUTH" });
+		expect(neighbour.sent[0]).to.deep.include({ action: "login", success: true });
+		expect(adapter.addressLockoutRemainingMs("203.0.113.5|jan")).to.be.greaterThan(0);
+		expect(makeProtectedAdapter().requestAddress(request("198.51.100.1"))).to.equal("10.0.0.2");
+	});
+
+	it("rate limits frames per connection and closes connections that keep flooding", async () => {
+		const adapter = makeProtectedAdapter({ messageRateLimitPerMinute: 2 });
+		const socket = makeRemoteSocket("203.0.113.5");
+		const closed = [];
+		socket.close = (code, reason) => closed.push({ code, reason });
+		const hello = JSON.stringify({ action: "hello", username: "jan", password: "secret" });
+
+		for (let i = 0; i < 5; i++) {
+			await adapter.handleWebSocketMessage(socket, hello);
+		}
+
+		expect(socket.sent.map(reply => reply.action || reply.code)).to.deep.equal(["hello", "hello", "E_RATE_LIMITED"]);
+		expect(socket.sent[2].retryAfterSeconds).to.be.within(59, 60);
+		expect(closed).to.deep.equal([{ code: 1008, reason: "Rate limit exceeded" }]);
+	});
+});
+
+describe("Batch frames", () => {
+	it("processes sub-actions in order and answers with one reply holding per-item results", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+		const lookups = [];
+		const created = [];
+		const states = [];
+		adapter.getForeignObjectAsync = async id => {
+			lookups.push(id);
+			return null;
+		};
+		adapter.setObjectNotExistsAsync = async id => created.push(id);
+		adapter.setForeignStateAsync = async (id, state) => states.push({ id, val: state.val });
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "batch",
+			requestId: "snap-1",
+			username: "jan",
+			password: "secret",
+			data: {
+				items: [
+					{ id: "a", action: "set", data: { path: "person.Jan.iPhone.sensors.battery", value: 80 } },
+					{ id: "b", action: "set", data: { path: "person.Jan.iPhone.sensors.steps", value: 1200 } },
+					{ id: "c", action: "set", data: { path: "person.Jan.iPhone.sensors.battery", value: 79 } },
+					{ action: "set", data: { path: "person.*.battery", value: 1 } },
+					{ action: "notificationAck", data: { id: "n1" } },
+				],
+			},
+		}));
+
+		expect(states).to.deep.equal([
+			{ id: "iobapp.0.person.Jan.iPhone.sensors.battery", val: 80 },
+			{ id: "iobapp.0.person.Jan.iPhone.sensors.steps", val: 1200 },
+			{ id: "iobapp.0.person.Jan.iPhone.sensors.battery", val: 79 },
+		]);
+		expect(lookups).to.deep.equal([
+			"iobapp.0.person.Jan.iPhone.sensors.battery",
+			"iobapp.0.person.Jan.iPhone.sensors.steps",
+		]);
+		expect(created.filter(id => id === "iobapp.0.person.Jan.iPhone.sensors")).to.have.lengthOf(1);
+		expect(socket.sent).to.deep.equal([{
+			action: "batch",
+			success: true,
+			requestId: "snap-1",
+			data: {
+				failed: 1,
+				results: [
+					{ index: 0, id: "a", action: "set", success: true },
+					{ index: 1, id: "b", action: "set", success: true },
+					{ index: 2, id: "c", action: "set", success: true },
+					{
+						index: 3,
+						action: "set",
+						error: "Invalid data",
+						code: "E_VALIDATION",
+						errors: [{ field: "data.path", message: "contains invalid characters" }],
+					},
+					{ index: 4, action: "notificationAck", success: true },
+				],
+			},
+		}]);
+	});
+
+	it("uses the reply of the item's action as result and forwards other frames to the connection", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "batch",
+			username: "jan",
+			password: "secret",
+			data: { items: [{ action: "executeAction", data: { actionId: "update_widgets" } }] },
+		}));
+
+		expect(socket.sent).to.deep.equal([
+			{ action: "notificationCommand", data: { command: "update_widgets", payload: {} } },
+			{
+				action: "batch",
+				success: true,
+				data: { failed: 0, results: [{ index: 0, action: "executeAction", success: true, data: { actionId: "update_widgets" } }] },
+			},
+		]);
+	});
+
+	it("rejects sub-actions that are not allowed inside a batch", async () => {
+		const adapter = makeAuthorizedAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "batch",
+			username: "jan",
+			password: "secret",
+			data: { items: [{ action: "set", data: { path: "a", value: 1 } }, { action: "batch", data: { items: [] } }] },
+		}));
+
+		expect(socket.sent).to.have.lengthOf(1);
+		expect(socket.sent[0]).to.include({ action: "batch", code: "E_VALIDATION" });
+		expect(socket.sent[0].errors.map(error => error.field)).to.deep.equal(["data.items[1].action"]);
+	});
+});
+
+describe("State subscriptions", () => {
+	function makeSubscriptionAdapter() {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true, subscriptionAllowlist: "hm-rpc.0.*.STATE, enum.rooms.kitchen" };
+		adapter.subscribed = [];
+		adapter.unsubscribed = [];
+		adapter.subscribeForeignStatesAsync = async id => adapter.subscribed.push(id);
+		adapter.unsubscribeForeignStatesAsync = async id => adapter.unsubscribed.push(id);
+		adapter.getForeignObjectAsync = async id => {
+			if (id === "enum.rooms.kitchen") return { type: "enum", common: { members: ["zigbee.0.kitchen_sensor"] } };
+			if (id === "hm-rpc.0.missing.STATE") return null;
+			return { type: "state", common: {} };
+		};
+		adapter.getForeignStateAsync = async () => ({ val: false, ack: true, ts: 1, lc: 1, from: "system.adapter.hm-rpc.0" });
+		return adapter;
+	}
+
+	function makeOpenSocket() {
+		const socket = makeSocket();
+		socket.readyState = 1;
+		return socket;
+	}
+
+	const subscribe = ids => JSON.stringify({ action: "subscribeStates", username: "jan", password: "secret", data: { ids } });
+
+	it("subscribes allowlisted states by pattern or enum membership and returns their current values", async () => {
+		const adapter = makeSubscriptionAdapter();
+		const socket = makeOpenSocket();
+
+		await adapter.handleWebSocketMessage(socket, subscribe([
+			"hm-rpc.0.door.STATE",
+			"zigbee.0.kitchen_sensor.temperature",
+			"zigbee.0.bath_sensor.temperature",
+			"hm-rpc.0.missing.STATE",
+		]));
+
+		expect(adapter.subscribed).to.deep.equal(["hm-rpc.0.door.STATE", "zigbee.0.kitchen_sensor.temperature"]);
+		expect(socket.sent).to.deep.equal([{
+			action: "subscribeStates",
+			success: true,
+			data: {
+				subscribed: ["hm-rpc.0.door.STATE", "zigbee.0.kitchen_sensor.temperature"],
+				rejected: [
+					{ id: "zigbee.0.bath_sensor.temperature", error: "State is not allowlisted", code: "E_FORBIDDEN" },
+					{ id: "hm-rpc.0.missing.STATE", error: "State not found", code: "E_NOT_FOUND" },
+				],
+				states: {
+					"hm-rpc.0.door.STATE": { val: false, ack: true, ts: 1, lc: 1 },
+					"zigbee.0.kitchen_sensor.temperature": { val: false, ack: true, ts: 1, lc: 1 },
+				},
+			},
+		}]);
+	});
+
+	it("pushes stateChange frames to every subscribed connection", async () => {
+		const adapter = makeSubscriptionAdapter();
+		const first = makeOpenSocket();
+		const second = makeOpenSocket();
+		await adapter.handleWebSocketMessage(first, subscribe(["hm-rpc.0.door.STATE"]));
+		await adapter.handleWebSocketMessage(second, subscribe(["hm-rpc.0.door.STATE"]));
+		first.sent = [];
+		second.sent = [];
+
+		await adapter.onStateChange("hm-rpc.0.door.STATE", { val: true, ack: true, ts: 2, lc: 2 });
+		await adapter.onStateChange("hm-rpc.0.window.STATE", { val: true, ack: true, ts: 2, lc: 2 });
+
+		const push = { action: "stateChange", data: { id: "hm-rpc.0.door.STATE", state: { val: true, ack: true, ts: 2, lc: 2 } } };
+		expect(first.sent).to.deep.equal([push]);
+		expect(second.sent).to.deep.equal([push]);
+		expect(adapter.subscribed).to.deep.equal(["hm-rpc.0.door.STATE"]);
+	});
+
+	it("unsubscribes from ioBroker when the last connection unsubscribes or closes", async () => {
+		const adapter = makeSubscriptionAdapter();
+		const first = makeOpenSocket();
+		const second = makeOpenSocket();
+		await adapter.handleWebSocketMessage(first, subscribe(["hm-rpc.0.door.STATE", "hm-rpc.0.window.STATE"]));
+		await adapter.handleWebSocketMessage(second, subscribe(["hm-rpc.0.door.STATE"]));
+
+		await adapter.handleWebSocketMessage(first, JSON.stringify({
+			action: "unsubscribeStates",
+			username: "jan",
+			password: "secret",
+			data: { ids: ["hm-rpc.0.window.STATE"] },
+		}));
+		expect(first.sent[1]).to.deep.equal({ action: "unsubscribeStates", success: true, data: { subscriptions: ["hm-rpc.0.door.STATE"] } });
+		expect(adapter.unsubscribed).to.deep.equal(["hm-rpc.0.window.STATE"]);
+
+		adapter.handleSocketClosed(first);
+		adapter.handleSocketClosed(second);
+		await new Promise(resolve => setImmediate(resolve));
+
+		expect(adapter.unsubscribed).to.deep.equal(["hm-rpc.0.window.STATE", "hm-rpc.0.door.STATE"]);
+		expect(adapter.stateSubscribers.size).to.equal(0);
+	});
+});
+
+describe("State control", () => {
+	const objects = {
+		"hue.0.kitchen.on": { type: "state", common: { type: "boolean", write: true } },
+		"hue.0.kitchen.level": { type: "state", common: { type: "number", min: 0, max: 100, write: true } },
+		"scenes.0.mode": { type: "state", common: { type: "string", states: { away: "Away", home: "Home" } } },
+		"scenes.0.blinds": { type: "state", common: { type: "number", states: ["Closed", "Half", "Open"] } },
+		"hue.0.kitchen.reachable": { type: "state", common: { type: "boolean", write: false } },
+		"enum.functions.light": { type: "enum", common: { members: ["hue.0.kitchen"] } },
+	};
+
+	function makeControlAdapter() {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true, controlAllowlist: "enum.functions.light, scenes.0.*" };
+		adapter.written = [];
+		adapter.getForeignObjectAsync = async id => objects[id] || null;
+		adapter.setForeignStateAsync = async (id, state) => adapter.written.push({ id, state });
+		return adapter;
+	}
+
+	const control = (id, value) => JSON.stringify({ action: "controlState", username: "jan", password: "secret", data: { id, value } });
+
+	it("writes allowlisted commands with ack false", async () => {
+		const adapter = makeControlAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, control("hue.0.kitchen.on", true));
+		await adapter.handleWebSocketMessage(socket, control("scenes.0.mode", "away"));
+
+		expect(adapter.written).to.deep.equal([
+			{ id: "hue.0.kitchen.on", state: { val: true, ack: false } },
+			{ id: "scenes.0.mode", state: { val: "away", ack: false } },
+		]);
+		expect(socket.sent).to.deep.equal([
+			{ action: "controlState", success: true, data: { id: "hue.0.kitchen.on", val: true } },
+			{ action: "controlState", success: true, data: { id: "scenes.0.mode", val: "away" } },
+		]);
+	});
+
+	it("rejects states outside the allowlist and read-only states", async () => {
+		const adapter = makeControlAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, control("alarm.0.armed", false));
+		await adapter.handleWebSocketMessage(socket, control("hue.0.kitchen.reachable", true));
+
+		expect(adapter.written).to.deep.equal([]);
+		expect(socket.sent).to.deep.equal([
+			{ action: "controlState", error: "State is not allowlisted", code: "E_FORBIDDEN" },
+			{ action: "controlState", error: "State is read-only", code: "E_FORBIDDEN" },
+		]);
+	});
+
+	it("validates values against common type, min/max and states", async () => {
+		const adapter = makeControlAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, control("hue.0.kitchen.level", 150));
+		await adapter.handleWebSocketMessage(socket, control("hue.0.kitchen.on", "on"));
+		await adapter.handleWebSocketMessage(socket, control("scenes.0.mode", "party"));
+		await adapter.handleWebSocketMessage(socket, control("scenes.0.blinds", 3));
+
+		expect(adapter.written).to.deep.equal([]);
+		expect(socket.sent.map(reply => reply.code)).to.deep.equal(["E_VALIDATION", "E_VALIDATION", "E_VALIDATION", "E_VALIDATION"]);
+		expect(socket.sent.map(reply => reply.errors[0].message)).to.deep.equal([
+			"must be <= 100",
+			"must be of type boolean",
+			"must be one of away, home",
+			"must be one of 0, 1, 2",
+		]);
+	});
+
+	it("keys array states by their index", async () => {
+		const adapter = makeControlAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, control("scenes.0.blinds", 1));
+
+		expect(adapter.written).to.deep.equal([{ id: "scenes.0.blinds", state: { val: 1, ack: false } }]);
+	});
+});
+
+describe("ioBroker user ACLs", () => {
+	function makeLinkedAdapter(links) {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+		adapter.calls = [];
+		adapter.getStateAsync = async id => (id.endsWith(".pairing.key_hash") ? { val: adapter.hashDeviceKey(`key-${id.split(".")[3]}`) } : null);
+		adapter.getForeignStateAsync = async id => (links[id] ? { val: links[id] } : null);
+		adapter.getForeignStatesAsync = async () => Object.fromEntries(Object.entries(links).map(([id, val]) => [id, { val }]));
+		adapter.getForeignObjectAsync = async (id, options) => {
+			adapter.calls.push({ call: "getObject", id, options });
+			return { type: "state", common: { type: "number" } };
+		};
+		adapter.setForeignStateAsync = async (id, state, options) => {
+			adapter.calls.push({ call: "setState", id, options });
+			if (options && options.user === "system.user.kid" && !id.startsWith("iobapp.0.person.Kid.")) {
+				throw new Error("permissionError");
+			}
+		};
+		return adapter;
+	}
+
+	const deviceFrame = (person, device, action, data) => JSON.stringify({ action, person, device, deviceKey: `key-${person}`, data });
+	const set = (person, device, path) => deviceFrame(person, device, "set", { path, value: 1 });
+
+	it("acts as the ioBroker user linked to the paired device, falling back to the person", async () => {
+		const adapter = makeLinkedAdapter({
+			"iobapp.0.person.Kid.iPad.iobroker_user": "kid",
+			"iobapp.0.person.Jan.iobroker_user": "system.user.jan",
+		});
+		const kid = makeSocket();
+
+		await adapter.handleWebSocketMessage(kid, set("Kid", "iPad", "person.Kid.iPad.sensors.battery"));
+		await adapter.handleWebSocketMessage(makeSocket(), set("Jan", "iPhone", "person.Jan.iPhone.sensors.battery"));
+
+		expect(adapter.verifiedIdentityOf(kid)).to.deep.equal({ person: "Kid", device: "iPad" });
+		expect(adapter.calls.filter(call => call.call === "setState")).to.deep.equal([
+			{ call: "setState", id: "iobapp.0.person.Kid.iPad.sensors.battery", options: { user: "system.user.kid" } },
+			{ call: "setState", id: "iobapp.0.person.Jan.iPhone.sensors.battery", options: { user: "system.user.jan" } },
+		]);
+	});
+
+	it("denies unlinked and unidentified clients once a link exists", async () => {
+		const adapter = makeLinkedAdapter({ "iobapp.0.person.Jan.iobroker_user": "jan" });
+		const guest = makeSocket();
+		const announced = makeSocket();
+
+		await adapter.handleWebSocketMessage(guest, set("Guest", "iPhone", "person.Guest.iPhone.sensors.battery"));
+		await adapter.handleWebSocketMessage(announced, JSON.stringify({
+			action: "set",
+			username: "jan",
+			password: "secret",
+			data: { path: "person.Jan.iPhone.sensors.battery", value: 1 },
+		}));
+		announced.person = "Jan";
+		announced.device = "iPhone";
+		await adapter.handleWebSocketMessage(announced, JSON.stringify({
+			action: "set",
+			username: "jan",
+			password: "secret",
+			data: { path: "person.Jan.iPhone.sensors.battery", value: 1 },
+		}));
+
+		expect(adapter.calls).to.deep.equal([]);
+		expect([...guest.sent, ...announced.sent].map(reply => reply.code)).to.deep.equal(["E_FORBIDDEN", "E_FORBIDDEN", "E_FORBIDDEN"]);
+	});
+
+	it("binds only device key logins to the person's ioBroker user", async () => {
+		const adapter = makeLinkedAdapter({ "iobapp.0.person.Mom.iobroker_user": "admin" });
+		adapter.persistSessions = async () => {};
+		const password = makeSocket();
+		const paired = makeSocket();
+
+		await adapter.handleWebSocketMessage(password, JSON.stringify({
+			action: "login",
+			username: "jan",
+			password: "secret",
+			data: { person: "Mom", device: "iPad" },
+		}));
+		await adapter.handleWebSocketMessage(paired, deviceFrame("Mom", "iPad", "login", {}));
+		adapter.connectionOf(paired).pairedDevice = null;
+
+		expect(password.sent[0]).to.deep.include({ action: "login", success: true });
+		expect(adapter.verifiedIdentityOf(password)).to.deep.equal({ person: "", device: "" });
+		let error = null;
+		await adapter.aclOptionsFor(password).catch(err => { error = err; });
+		expect(adapter.isPermissionError(error)).to.equal(true);
+		expect(await adapter.aclOptionsFor(paired)).to.deep.equal({ user: "system.user.admin" });
+	});
+
+	it("acts with the adapter's rights while no ioBroker user is linked", async () => {
+		const adapter = makeLinkedAdapter({});
+
+		await adapter.handleWebSocketMessage(makeSocket(), set("Guest", "iPhone", "person.Guest.iPhone.sensors.battery"));
+
+		expect(adapter.calls.filter(call => call.call === "setState")).to.deep.equal([
+			{ call: "setState", id: "iobapp.0.person.Guest.iPhone.sensors.battery", options: undefined },
+		]);
+	});
+
+	it("rejects a person or device that differs from the authenticated one", async () => {
+		const adapter = makeLinkedAdapter({ "iobapp.0.person.Kid.iPad.iobroker_user": "kid" });
+		adapter.setObjectNotExistsAsync = async () => {};
+		adapter.setStateAsync = async () => {};
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "setDeviceToken",
+			person: "Kid",
+			device: "iPad",
+			deviceKey: "key-Kid",
+			clientId: "kid-ipad",
+			data: { deviceToken: "apns", person: "Jan", device: "iPhone" },
+		}));
+		await adapter.handleWebSocketMessage(socket, deviceFrame("Kid", "iPad", "hello", { protocolVersion: 3, person: "Jan", device: "iPhone" }));
+
+		expect(socket.sent.map(reply => `${reply.action}:${reply.code}`)).to.deep.equal(["setDeviceToken:E_FORBIDDEN", "hello:E_FORBIDDEN"]);
+		expect(adapter.clients.size).to.equal(0);
+		expect(adapter.identityOf(socket)).to.deep.equal({ person: "Kid", device: "iPad" });
+	});
+
+	it("answers E_FORBIDDEN when js-controller denies the linked user", async () => {
+		const adapter = makeLinkedAdapter({ "iobapp.0.person.Kid.iPad.iobroker_user": "system.user.kid" });
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, set("Kid", "iPad", "person.Jan.iPhone.sensors.battery"));
+
+		expect(socket.sent).to.deep.equal([{ action: "set", error: "Permission denied", code: "E_FORBIDDEN" }]);
+	});
+
+	it("never lets the app write identity or credential states", async () => {
+		const adapter = makeLinkedAdapter({});
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, set("Kid", "iPad", "person.Kid.iPad.iobroker_user"));
+		await adapter.handleWebSocketMessage(socket, set("Kid", "iPad", "person.Kid.iPad.pairing.key_hash"));
+		await adapter.handleWebSocketMessage(socket, set("Kid", "iPad", "info.sessions"));
+
+		expect(adapter.calls).to.deep.equal([]);
+		expect(socket.sent.map(reply => reply.code)).to.deep.equal(["E_FORBIDDEN", "E_FORBIDDEN", "E_FORBIDDEN"]);
+	});
+
+	it("lists only persons the linked user may read", async () => {
+		const adapter = makeLinkedAdapter({ "iobapp.0.person.Kid.iPad.iobroker_user": "system.user.kid" });
+		const socket = makeSocket();
+		let usedOptions;
+		adapter.getForeignObjectsAsync = async (pattern, type, options) => {
+			usedOptions = options;
+			return { "iobapp.0.person.Kid.iPad.battery": {} };
+		};
+
+		await adapter.handleWebSocketMessage(socket, deviceFrame("Kid", "iPad", "getPersons"));
+
+		expect(usedOptions).to.deep.equal({ user: "system.user.kid" });
+		expect(socket.sent).to.deep.equal([{ action: "getPersons", data: [{ person: "Kid" }] }]);
+	});
+	it("lists devices without the person-level states", async () => {
+		const { adapter } = makeStoreAdapter({
+			"iobapp.0.person.Kid.iPad.sensors.battery": { type: "state" },
+			"iobapp.0.person.Kid.apple_watch.battery": { type: "state" },
+			"iobapp.0.person.Kid.iobroker_user": { type: "state" },
+			"iobapp.0.person.Kid.wearing_watch": { type: "state" },
+			"iobapp.0.person.Kid.watch_reachable": { type: "state" },
+			"iobapp.0.person.Kid.messages.last": { type: "state" },
+		});
+		const socket = makeSocket();
+
+		await adapter.handleGetDevices(socket, { person: "Kid" });
+
+		expect(socket.sent).to.deep.equal([{ action: "getDevices", data: [{ device: "iPad" }, { device: "apple_watch" }] }]);
+	});
+});
+
+describe("REST API", () => {
+	function makeRequest(headers = {}, params = {}) {
+		const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+		return {
+			params,
+			socket: { remoteAddress: "192.0.2.10" },
+			get: name => lowered[name.toLowerCase()],
+		};
+	}
+
+	function makeResponse() {
+		return {
+			statusCode: 200,
+			headers: {},
+			body: undefined,
+			status(code) {
+				this.statusCode = code;
+				return this;
+			},
+			set(name, value) {
+				this.headers[name] = value;
+			},
+			json(body) {
+				this.body = body;
+			},
+		};
+	}
+
+	const basic = `Basic ${Buffer.from("jan:secret").toString("base64")}`;
+
+	it("runs set through the shared handler with basic authentication", async () => {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+		const states = [];
+		adapter.getForeignObjectAsync = async () => ({ type: "state" });
+		adapter.getForeignStateAsync = async () => null;
+		adapter.setForeignStateAsync = async (id, state) => states.push({ id, state });
+		const res = makeResponse();
+
+		await adapter.handleRestRequest(makeRequest({ Authorization: basic }), res, "set", { path: "person.Jan.iPhone.sensors.steps", value: 4200 });
+
+		expect(states).to.deep.equal([{ id: "iobapp.0.person.Jan.iPhone.sensors.steps", state: { val: 4200, ack: true } }]);
+		expect(res.statusCode).to.equal(200);
+		expect(res.body).to.deep.equal({ action: "set", success: true });
+	});
+
+	it("accepts session tokens as bearer tokens", async () => {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+		adapter.sessionSecret = "test-secret";
+		adapter.setStateAsync = async () => {};
+		const { token } = await adapter.createSession({ person: "Jan", device: "iPhone", clientId: "c1", verified: true });
+		const res = makeResponse();
+
+		await adapter.handleRestRequest(makeRequest({ Authorization: `Bearer ${token}` }), res, "notificationAck", {});
+
+		expect(res.statusCode).to.equal(200);
+		expect(res.body).to.deep.equal({ action: "notificationAck", success: true });
+	});
+
+	it("applies the message rate limit per client address", async () => {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true, messageRateLimitPerMinute: 1 };
+		const first = makeResponse();
+		const second = makeResponse();
+
+		await adapter.handleRestRequest(makeRequest({ Authorization: basic }), first, "notificationAck", {});
+		await adapter.handleRestRequest(makeRequest({ Authorization: basic }), second, "notificationAck", {});
+
+		expect(first.statusCode).to.equal(200);
+		expect(second.statusCode).to.equal(429);
+		expect(second.body).to.include({ action: "notificationAck", code: "E_RATE_LIMITED" });
+		expect(Number(second.headers["Retry-After"])).to.be.within(59, 60);
+	});
+
+	it("delivers command frames to the device's open connection or answers 409", async () => {
+		const adapter = makeAdapter();
+		adapter.config = {};
+		adapter.getStateAsync = async () => ({ val: adapter.hashDeviceKey("key-1") });
+		const app = { ...makeSocket(), readyState: 1, pairedDevice: { person: "Jan", device: "iPhone", clientId: "c1" } };
+		adapter.wsServer = { clients: new Set([app]) };
+		const headers = { "X-Person": "Jan", "X-Device": "iPhone", "X-Device-Key": "key-1" };
+		const accepted = makeResponse();
+		const undelivered = makeResponse();
+
+		await adapter.handleRestRequest(makeRequest(headers), accepted, "executeAction", { actionId: "update_widgets" });
+		app.readyState = 3;
+		await adapter.handleRestRequest(makeRequest(headers), undelivered, "executeAction", { actionId: "update_widgets" });
+
+		expect(accepted.statusCode).to.equal(202);
+		expect(accepted.body).to.deep.equal({ action: "executeAction", success: true, data: { actionId: "update_widgets" } });
+		expect(app.sent).to.deep.equal([{ action: "notificationCommand", data: { command: "update_widgets", payload: {} } }]);
+		expect(undelivered.statusCode).to.equal(409);
+		expect(undelivered.body).to.include({ action: "executeAction", code: "E_NOT_DELIVERED" });
+	});
+
+	it("rejects person headers that differ from the session", async () => {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+		adapter.sessionSecret = "test-secret";
+		adapter.setStateAsync = async () => {};
+		const { token } = await adapter.createSession({ person: "Jan", device: "iPhone", clientId: "c1", verified: true });
+		const res = makeResponse();
+
+		await adapter.handleRestRequest(makeRequest({ Authorization: `Bearer ${token}`, "X-Person": "Kid" }), res, "notificationAck", {});
+
+		expect(res.statusCode).to.equal(403);
+		expect(res.body).to.include({ action: "notificationAck", code: "E_FORBIDDEN" });
+	});
+
+	it("maps error codes to HTTP status codes", async () => {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+		adapter.setStateAsync = async () => {};
+		adapter.getForeignObjectAsync = async () => null;
+
+		const unauthorized = makeResponse();
+		await adapter.handleRestRequest(makeRequest({ Authorization: "Basic bm9wZQ==" }), unauthorized, "set", { path: "a", value: 1 });
+		const invalid = makeResponse();
+		await adapter.handleRestRequest(makeRequest({ Authorization: basic }), invalid, "set", { path: "a.*" });
+		const missing = makeResponse();
+		await adapter.handleRestRequest(makeRequest({ Authorization: basic }, { tagId: "garage" }), missing, "tagsTrigger", { tagId: "garage" });
+
+		expect([unauthorized.statusCode, invalid.statusCode, missing.statusCode]).to.deep.equal([401, 400, 404]);
+		expect(unauthorized.body).to.deep.equal({ action: "set", error: "Authentication failed", code: "E_AUTH" });
+		expect(adapter.recentAuthFailures[0]).to.include({ address: "192.0.2.10", reason: "rest:set" });
+	});
+});
+
+describe("Webhooks", () => {
+	function makeWebhookAdapter() {
+		const adapter = makeAdapter();
+		adapter.objects = {};
+		adapter.states = {};
+		adapter.written = [];
+		adapter.getForeignObjectAsync = async id => adapter.objects[id] || null;
+		adapter.setForeignObjectAsync = async (id, object) => {
+			adapter.objects[id] = object;
+		};
+		adapter.setObjectNotExistsAsync = async () => {};
+		adapter.getStateAsync = async id => (id in adapter.states ? { val: adapter.states[id] } : null);
+		adapter.setStateAsync = async (id, val) => {
+			adapter.states[id] = val;
+		};
+		adapter.setForeignStateAsync = async (id, state) => adapter.written.push({ id, state });
+		return adapter;
+	}
+
+	function makeHookRequest(path, query = {}) {
+		const [, , webhookId, secret] = path.split("/");
+		return { params: { webhookId, secret }, query, body: {}, socket: { remoteAddress: "192.0.2.20" } };
+	}
+
+	function makeResponse() {
+		return {
+			statusCode: 200,
+			body: undefined,
+			status(code) {
+				this.statusCode = code;
+				return this;
+			},
+			set() {},
+			json(body) {
+				this.body = body;
+			},
+		};
+	}
+
+	it("creates webhooks with a one-time URL secret that is stored only as a hash", async () => {
+		const adapter = makeWebhookAdapter();
+		adapter.config = { wsPort: 9192 };
+
+		const webhook = await adapter.createWebhook({ name: "Garage öffnen", target: { type: "tag", tagId: "Garage" } });
+
+		expect(webhook).to.include({ id: "garage-offnen", port: 9192, secure: false });
+		expect(webhook.path).to.match(/^\/hooks\/garage-offnen\/[A-Za-z0-9_-]{32}$/);
+		const stored = adapter.objects["iobapp.0.webhooks.garage-offnen"];
+		expect(stored.native.target).to.deep.equal({ type: "tag", tagId: "garage" });
+		expect(JSON.stringify(stored)).to.not.contain(webhook.path.split("/")[3]);
+		expect(adapter.states["iobapp.0.webhooks.garage-offnen.count"]).to.equal(0);
+	});
+
+	it("runs the target and counts calls when the secret matches", async () => {
+		const adapter = makeWebhookAdapter();
+		const webhook = await adapter.createWebhook({ name: "Heizung", target: { type: "state", id: "hm-rpc.0.heating.SET" } });
+		adapter.objects["hm-rpc.0.heating.SET"] = { type: "state", common: { type: "number", min: 5, max: 30 } };
+		const res = makeResponse();
+
+		await adapter.handleWebhookRequest(makeHookRequest(webhook.path, { value: "21.5" }), res);
+
+		expect(res.statusCode).to.equal(200);
+		expect(res.body).to.deep.equal({ webhook: "heizung", success: true, data: { id: "hm-rpc.0.heating.SET", val: 21.5 } });
+		expect(adapter.written).to.deep.equal([{ id: "hm-rpc.0.heating.SET", state: { val: 21.5, ack: false } }]);
+		expect(adapter.states["iobapp.0.webhooks.heizung.count"]).to.equal(1);
+		expect(adapter.states["iobapp.0.webhooks.heizung.last_called"]).to.be.a("string");
+	});
+
+	it("validates state targets with array states by index", async () => {
+		const adapter = makeWebhookAdapter();
+		const webhook = await adapter.createWebhook({ name: "Rollladen", target: { type: "state", id: "knx.0.blinds.position" } });
+		adapter.objects["knx.0.blinds.position"] = { type: "state", common: { type: "number", states: ["Closed", "Half", "Open"] } };
+		const accepted = makeResponse();
+		const rejected = makeResponse();
+
+		await adapter.handleWebhookRequest(makeHookRequest(webhook.path, { value: "2" }), accepted);
+		await adapter.handleWebhookRequest(makeHookRequest(webhook.path, { value: "Open" }), rejected);
+
+		expect(accepted.body).to.deep.include({ success: true, data: { id: "knx.0.blinds.position", val: 2 } });
+		expect(rejected.body).to.deep.include({ code: "E_VALIDATION" });
+		expect(adapter.written).to.deep.equal([{ id: "knx.0.blinds.position", state: { val: 2, ack: false } }]);
+	});
+
+	it("rejects wrong secrets and deleted webhooks as unknown", async () => {
+		const adapter = makeWebhookAdapter();
+		const webhook = await adapter.createWebhook({ name: "Licht", target: { type: "action", actionId: "update_widgets" } });
+		const wrong = makeResponse();
+
+		await adapter.handleWebhookRequest(makeHookRequest("/hooks/licht/not-the-secret"), wrong);
+		delete adapter.objects["iobapp.0.webhooks.licht"];
+		const deleted = makeResponse();
+		await adapter.handleWebhookRequest(makeHookRequest(webhook.path), deleted);
+
+		expect([wrong.statusCode, deleted.statusCode]).to.deep.equal([404, 404]);
+		expect(wrong.body).to.deep.equal({ error: "Unknown webhook", code: "E_NOT_FOUND" });
+		expect(adapter.authFailuresTotal).to.equal(2);
+	});
+});
+
+describe("Frame encoding", () => {
+	const msgpack = require("@msgpack/msgpack");
+
+	function makeBinarySocket() {
+		return {
+			/** @type {any[]} */
+			sent: [],
+			send(payload, options) {
+				this.sent.push(options && options.binary ? { binary: msgpack.decode(payload) } : JSON.parse(payload));
+			},
+		};
+	}
+
+	it("switches to MessagePack after a hello that lists it and decodes binary frames", async () => {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+		const socket = makeBinarySocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "hello",
+			username: "jan",
+			password: "secret",
+			data: { encodings: ["msgpack", "json"] },
+		}));
+		await adapter.handleWebSocketMessage(socket, Buffer.from(msgpack.encode({
+			action: "requestSensorRefresh",
+			requestId: 3,
+			username: "jan",
+			password: "secret",
+		})), true);
+
+		expect(socket.sent[0].data.encoding).to.equal("msgpack");
+		expect(socket.sent[1]).to.deep.equal({ binary: { action: "requestSensorRefresh", success: true, requestId: 3 } });
+	});
+
+	it("keeps JSON for clients that do not ask for MessagePack", async () => {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true, wsCompression: false };
+		const socket = makeBinarySocket();
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "hello", username: "jan", password: "secret" }));
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({ action: "requestSensorRefresh", username: "jan", password: "secret" }));
+
+		expect(socket.sent[0].data.encoding).to.equal("json");
+		expect(socket.sent[0].data.capabilities).to.not.include("permessageDeflate");
+		expect(socket.sent[1]).to.deep.equal({ action: "requestSensorRefresh", success: true });
+	});
+});
+
+describe("Client capabilities", () => {
+	function makeOpenSocket() {
+		return { ...makeSocket(), readyState: 1 };
+	}
+
+	it("stores the capabilities a v3 client declares under the device info channel", async () => {
+		const adapter = makeAdapter();
+		/** @type {Record<string, any>} */
+		const states = {};
+		adapter.setObjectNotExistsAsync = async () => {};
+		adapter.setStateAsync = async (id, val) => { states[id] = val; };
+		adapter.getForeignStateAsync = async () => null;
+		const socket = { ...makeSocket(), pairedDevice: { person: "jan", device: "iphone", clientId: "" } };
+
+		await adapter.handleHello(socket, {
+			protocolVersion: 3,
+			appVersion: "1.4.0",
+			capabilities: ["watch", "healthKit"],
+			notificationCommands: ["update_watch"],
+		});
+
+		expect(socket.sent[0].data.protocolVersion).to.equal(3);
+		expect(states["iobapp.0.person.jan.iphone.info.app_version"]).to.equal("1.4.0");
+		expect(states["iobapp.0.person.jan.iphone.info.protocol_version"]).to.equal(3);
+		expect(JSON.parse(states["iobapp.0.person.jan.iphone.info.capabilities"])).to.deep.equal(["watch", "healthKit"]);
+		expect(JSON.parse(states["iobapp.0.person.jan.iphone.info.payload_fields"])).to.equal(null);
+	});
+
+	it("ignores the person and device a hello names for itself", async () => {
+		const adapter = makeAdapter();
+		const written = [];
+		adapter.setObjectNotExistsAsync = async id => { written.push(id); };
+		adapter.setStateAsync = async id => { written.push(id); };
+		const socket = makeSocket();
+
+		await adapter.handleHello(socket, { protocolVersion: 3, person: "mom", device: "ipad", capabilities: ["watch"] });
+
+		expect(socket.sent[0]).to.deep.include({ action: "hello" });
+		expect(written).to.deep.equal([]);
+		expect(adapter.identityOf(socket)).to.deep.equal({ person: "", device: "" });
+	});
+
+	it("drops commands and payload fields the client did not declare", async () => {
+		const adapter = makeAdapter();
+		const socket = makeOpenSocket();
+		await adapter.handleHello(socket, {
+			protocolVersion: 3,
+			capabilities: ["watch"],
+			notificationCommands: ["update_watch", "request_indoor_scan"],
+			payloadFields: ["title", "body"],
+		});
+		adapter.clients.set("client-1", socket);
+		socket.sent = [];
+
+		expect(adapter.sendMessageToClient("client-1", { action: "notificationCommand", data: { command: "update_widgets" } })).to.equal(true);
+		adapter.sendMessageToClient("client-1", { action: "notificationCommand", data: { command: "request_indoor_scan" } });
+		adapter.sendMessageToClient("client-1", { action: "notificationCommand", data: { command: "update_watch" } });
+		adapter.sendMessageToClient("client-1", { action: "notification", payload: { aps: { alert: "x" }, title: "Hi", image: "a.png" } });
+
+		expect(socket.sent).to.deep.equal([
+			{ action: "notificationCommand", data: { command: "update_watch" } },
+			{ action: "notification", payload: { aps: { alert: "x" }, title: "Hi" } },
+		]);
+	});
+
+	it("keeps pushing everything to clients that declare nothing", async () => {
+		const adapter = makeAdapter();
+		const socket = makeOpenSocket();
+		await adapter.handleHello(socket, {});
+		adapter.clients.set("client-1", socket);
+		socket.sent = [];
+
+		adapter.sendMessageToClient("client-1", { action: "notificationCommand", data: { command: "request_indoor_scan" } });
+
+		expect(socket.sent).to.have.length(1);
+	});
+
+	it("rejects executeAction for commands the client does not support", async () => {
+		const adapter = makeAdapter();
+		const socket = makeSocket();
+		socket.clientCapabilities = { protocolVersion: 3, appVersion: "", capabilities: [], notificationCommands: null, payloadFields: null };
+
+		await adapter.handleExecuteAction(socket, { actionId: "request_indoor_scan" });
+		await adapter.handleExecuteAction(socket, { actionId: "update_widgets" });
+
+		expect(socket.sent[0]).to.deep.include({ action: "executeAction", code: "E_FORBIDDEN" });
+		expect(socket.sent[1]).to.deep.include({ action: "notificationCommand" });
+	});
+});
+
+describe("Offline event replay", () => {
+	function makeReplayAdapter() {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+		/** @type {Record<string, { val: any, ts: number }>} */
+		const states = {};
+		adapter.getForeignObjectAsync = async () => ({ common: {} });
+		adapter.setObjectNotExistsAsync = async () => {};
+		adapter.getForeignStateAsync = async id => states[id] || null;
+		adapter.setForeignStateAsync = async (id, state) => {
+			states[id] = { val: state.val, ts: state.ts || Date.now() };
+		};
+		return { adapter, states };
+	}
+
+	it("writes the original timestamp and skips events older than the current value", async () => {
+		const { adapter, states } = makeReplayAdapter();
+		const socket = makeSocket();
+		const id = "iobapp.0.person.Jan.iPhone.sensors.battery";
+
+		await adapter.handleSet(socket, { path: "person.Jan.iPhone.sensors.battery", value: 40, ts: "2026-10-19T08:00:00Z" });
+		await adapter.handleSet(socket, { path: "person.Jan.iPhone.sensors.battery", value: 60, ts: Date.parse("2026-10-19T07:00:00Z") });
+
+		expect(states[id]).to.deep.equal({ val: 40, ts: Date.parse("2026-10-19T08:00:00Z") });
+		expect(socket.sent).to.deep.equal([
+			{ action: "set", success: true },
+			{ action: "set", success: true, stale: true },
+		]);
+	});
+
+	it("rejects timestamps that cannot be parsed", async () => {
+		const { adapter } = makeReplayAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleSetPresence(socket, { locationName: "Home", person: "Jan", presence: true, ts: "yesterday" });
+
+		expect(socket.sent[0]).to.deep.include({ action: "setPresence", code: "E_VALIDATION" });
+		expect(socket.sent[0].errors[0].field).to.equal("data.ts");
+	});
+
+	it("replays batch items in event order and returns a summary", async () => {
+		const { adapter, states } = makeReplayAdapter();
+		const socket = makeSocket();
+		states["iobapp.0.zones.Work.Jan"] = { val: false, ts: Date.parse("2026-10-19T07:30:00Z") };
+		const order = [];
+		const write = adapter.setForeignStateAsync;
+		adapter.setForeignStateAsync = async (id, state) => {
+			order.push(`${id}=${state.val}`);
+			await write(id, state);
+		};
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "batch",
+			username: "jan",
+			password: "secret",
+			data: {
+				items: [
+					{ action: "setPresence", data: { locationName: "Home", person: "Jan", presence: true, ts: "2026-10-19T08:10:00Z" } },
+					{ action: "setPresence", data: { locationName: "Home", person: "Jan", presence: false, ts: "2026-10-19T07:50:00Z" } },
+					{ action: "setPresence", data: { locationName: "Work", person: "Jan", presence: true, ts: "2026-10-19T07:00:00Z" } },
+				],
+			},
+		}));
+
+		expect(order).to.deep.equal(["iobapp.0.zones.Home.Jan=false", "iobapp.0.zones.Home.Jan=true"]);
+		expect(socket.sent[0].data.results.map(result => result.index)).to.deep.equal([0, 1, 2]);
+		expect(socket.sent[0].data.results[2].stale).to.equal(true);
+		expect(socket.sent[0].data.replay).to.deep.equal({
+			events: 3,
+			applied: 2,
+			stale: 1,
+			failed: 0,
+			from: "2026-10-19T07:00:00.000Z",
+			to: "2026-10-19T08:10:00.000Z",
+		});
+	});
+});
+
+describe("Idempotency keys", () => {
+	function makeTagAdapter() {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+		const pulses = [];
+		adapter.getForeignObjectAsync = async () => ({ common: { name: "Door" } });
+		adapter.setStateAsync = async (id, val) => {
+			if (val === true) pulses.push(id);
+		};
+		return { adapter, pulses };
+	}
+
+	function tagFrame(idempotencyKey, requestId) {
+		return JSON.stringify({
+			action: "tagsTrigger",
+			requestId,
+			username: "jan",
+			password: "secret",
+			person: "jan",
+			device: "iphone",
+			data: { tagId: "door", idempotencyKey },
+		});
+	}
+
+	it("replays the original reply for a retried key instead of executing again", async () => {
+		const { adapter, pulses } = makeTagAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, tagFrame("k-1", 1));
+		await adapter.handleWebSocketMessage(socket, tagFrame("k-1", 2));
+		await adapter.handleWebSocketMessage(socket, tagFrame("k-2", 3));
+
+		expect(pulses).to.have.length(2);
+		expect(socket.sent).to.deep.equal([
+			{ action: "tagsTrigger", success: true, requestId: 1 },
+			{ action: "tagsTrigger", success: true, replayed: true, requestId: 2 },
+			{ action: "tagsTrigger", success: true, requestId: 3 },
+		]);
+	});
+
+	it("rejects a key reused with different data without running the action", async () => {
+		const { adapter, pulses } = makeTagAdapter();
+		const socket = makeSocket();
+		const garage = JSON.parse(tagFrame("k-1", 2));
+		garage.data.tagId = "garage";
+
+		await adapter.handleWebSocketMessage(socket, tagFrame("k-1", 1));
+		await adapter.handleWebSocketMessage(socket, JSON.stringify(garage));
+
+		expect(pulses).to.have.length(1);
+		expect(socket.sent[1]).to.deep.include({ action: "tagsTrigger", code: "E_IDEMPOTENCY_CONFLICT", requestId: 2 });
+	});
+
+	it("waits for a run that is still in progress", async () => {
+		const { adapter, pulses } = makeTagAdapter();
+		const socket = makeSocket();
+
+		await Promise.all([
+			adapter.handleWebSocketMessage(socket, tagFrame("k-1")),
+			adapter.handleWebSocketMessage(socket, tagFrame("k-1")),
+		]);
+
+		expect(pulses).to.have.length(1);
+		expect(socket.sent[1]).to.deep.include({ replayed: true });
+	});
+
+	it("executes again once the window has passed or when disabled", async () => {
+		const { adapter, pulses } = makeTagAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWebSocketMessage(socket, tagFrame("k-1"));
+		adapter.idempotencyCache.forEach(entry => { entry.expiresAt = 0; });
+		await adapter.handleWebSocketMessage(socket, tagFrame("k-1"));
+		adapter.config.idempotencyWindowSeconds = 0;
+		await adapter.handleWebSocketMessage(socket, tagFrame("k-2"));
+		await adapter.handleWebSocketMessage(socket, tagFrame("k-2"));
+
+		expect(pulses).to.have.length(4);
+	});
+
+	it("replays only the action's reply, not the command frames of the first run", async () => {
+		const { adapter } = makeTagAdapter();
+		const socket = makeSocket();
+		const execute = JSON.stringify({
+			action: "executeAction",
+			username: "jan",
+			password: "secret",
+			data: { actionId: "update_widgets", idempotencyKey: "k-1" },
+		});
+
+		await adapter.handleWebSocketMessage(socket, execute);
+		await adapter.handleWebSocketMessage(socket, execute);
+
+		expect(socket.sent).to.deep.equal([
+			{ action: "notificationCommand", data: { command: "update_widgets", payload: {} } },
+			{ action: "executeAction", success: true, data: { actionId: "update_widgets" } },
+			{ action: "executeAction", success: true, data: { actionId: "update_widgets" }, replayed: true },
+		]);
+	});
+});
+
+describe("Connected clients registry", () => {
+	it("lists open sockets with identity, app version and message counters", async () => {
+		const adapter = makeAdapter();
+		adapter.config = { username: "jan", password: "secret", legacyPasswordAuth: true };
+		/** @type {Record<string, any>} */
+		const states = {};
+		adapter.setStateAsync = async (id, val) => { states[id] = val; };
+		const socket = {
+			...makeSocket(),
+			readyState: 1,
+			connectionId: 4,
+			remoteAddress: "192.168.1.20",
+			person: "Jan",
+			device: "iPhone",
+			connectedAt: Date.parse("2026-10-19T08:00:00Z"),
+		};
+		const closed = { ...makeSocket(), readyState: 3 };
+		adapter.wsServer = { clients: new Set([socket, closed]) };
+
+		await adapter.handleWebSocketMessage(socket, JSON.stringify({
+			action: "hello",
+			username: "jan",
+			password: "secret",
+			data: { protocolVersion: 3, appVersion: "1.4.0" },
+		}));
+		await adapter.updateClientRegistry();
+
+		const clients = JSON.parse(states["iobapp.0.info.clients.connected"]);
+		expect(states["iobapp.0.info.clients.count"]).to.equal(1);
+		expect(clients[0]).to.deep.include({
+			connectionId: 4,
+			clientId: null,
+			person: "Jan",
+			device: "iPhone",
+			remoteAddress: "192.168.1.20",
+			appVersion: "1.4.0",
+			protocolVersion: 3,
+			connectedSince: "2026-10-19T08:00:00.000Z",
+			messagesIn: 1,
+			messagesOut: 1,
+		});
+		expect(clients[0].lastActivity).to.be.a("string");
+		expect(adapter.clientRegistryDirty).to.equal(false);
+	});
+});
+
+describe("Graceful shutdown", () => {
+	it("announces the shutdown with a reconnect delay before closing sockets", () => {
+		const adapter = makeAdapter();
+		adapter.config = { shutdownReconnectDelaySeconds: 20 };
+		const closes = [];
+		const socket = { ...makeSocket(), readyState: 1, close: (code) => closes.push(code) };
+		adapter.wsServer = { clients: new Set([socket]), close: () => {} };
+		let called = false;
+
+		adapter.onUnload(() => { called = true; });
+
+		expect(called).to.equal(true);
+		expect(socket.sent[0].action).to.equal("serverShutdown");
+		expect(socket.sent[0].data.reconnectDelayMs).to.be.within(20000, 25000);
+		expect(closes).to.deep.equal([1001]);
+	});
+
+	it("wakes apps that were connected before the restart and did not come back", async () => {
+		const adapter = makeAdapter();
+		adapter.config = { wakeAfterRestart: true, relayEnabled: true, relayUrl: "https://relay", relayApiKey: "key" };
+		adapter.getStateAsync = async () => ({
+			val: JSON.stringify([{ clientId: "jan-phone" }, { clientId: "eva-phone" }, { clientId: null }]),
+		});
+		adapter.clients.set("eva-phone", { readyState: 1 });
+		const woken = [];
+		adapter.wakeRelayDevice = async (clientId, reason) => { woken.push({ clientId, reason }); return true; };
+		const previousClients = await adapter.loadPreviousClients();
+		const clock = sinon.useFakeTimers();
+
+		try {
+			adapter.scheduleRestartWake(previousClients);
+			await clock.tickAsync(39999);
+			expect(woken).to.deep.equal([]);
+			await clock.tickAsync(1);
+		} finally {
+			clock.restore();
+		}
+
+		expect(woken).to.deep.equal([{ clientId: "jan-phone", reason: "adapter_restart" }]);
+	});
+});
+
+describe("Sensor schema reconciliation", () => {
+	function makeDeviceAdapter(existing) {
+		const adapter = makeAdapter();
+		const created = [];
+		const extended = [];
+		adapter.setObjectNotExistsAsync = async (id, obj) => { created.push({ id, obj }); };
+		adapter.getForeignObjectsAsync = async () => existing;
+		adapter.extendForeignObjectAsync = async (id, obj) => { extended.push({ id, obj }); };
+		adapter.createAPNObjects = async () => {};
+		return { adapter, created, extended };
+	}
+
+	it("updates changed attributes and deprecates sensors that are no longer reported", async () => {
+		const base = "iobapp.0.person.Jan.iPhone";
+		const { adapter, created, extended } = makeDeviceAdapter({
+			[`${base}.sensors.battery`]: { common: { type: "string", role: "value", unit: "" }, native: {} },
+			[`${base}.sensors.pressure`]: { common: { type: "number" }, native: { sensor: true } },
+			[`${base}.device_token`]: { common: { type: "string" }, native: {} },
+		});
+		const socket = makeSocket();
+
+		await adapter.handlePostDevices(socket, {
+			person: "Jan",
+			device: "iPhone",
+			sensors: [
+				{ id: "sensors.battery", name: "Battery", type: "number", unit: "%", min: 0, max: 100 },
+				{ id: "sensors.steps", name: "Steps", type: "number" },
+			],
+		});
+
+		expect(created.map(entry => entry.id)).to.include(`${base}.sensors.steps`);
+		expect(extended[0]).to.deep.equal({
+			id: `${base}.sensors.battery`,
+			obj: {
+				common: { type: "number", unit: "%", min: 0, max: 100 },
+				native: { sensor: true, deprecated: false, deprecatedSince: null },
+			},
+		});
+		expect(extended[1].id).to.equal(`${base}.sensors.pressure`);
+		expect(extended[1].obj.native.deprecated).to.equal(true);
+		expect(extended).to.have.length(2);
+		expect(socket.sent[0].data).to.deep.include({
+			created: ["sensors.steps"],
+			deprecated: ["sensors.pressure"],
+			restored: [],
+		});
+		expect(socket.sent[0].data.updated[0].changes.type).to.deep.equal({ from: "string", to: "number" });
+	});
+
+	it("deprecates sensors from older versions that carry no sensor marker", async () => {
+		const base = "iobapp.0.person.Jan.iPhone";
+		const { adapter, extended } = makeDeviceAdapter({
+			[`${base}.sensors.battery`]: { common: { type: "number" }, native: {} },
+			[`${base}.sensors.altitude`]: { common: { type: "number" }, native: {} },
+			[`${base}.ws_device_id`]: { common: { type: "string" }, native: {} },
+		});
+		const socket = makeSocket();
+
+		await adapter.handlePostDevices(socket, {
+			person: "Jan",
+			device: "iPhone",
+			sensors: [{ id: "sensors.battery", name: "Battery", type: "number" }],
+		});
+
+		expect(extended.map(entry => entry.id)).to.deep.equal([`${base}.sensors.battery`, `${base}.sensors.altitude`]);
+		expect(extended[1].obj.native).to.deep.include({ sensor: true, deprecated: true });
+		expect(socket.sent[0].data.deprecated).to.deep.equal(["sensors.altitude"]);
+	});
+
+	it("leaves up-to-date sensors alone and restores deprecated ones", async () => {
+		const base = "iobapp.0.person.Jan.iPhone";
+		const { adapter, extended } = makeDeviceAdapter({
+			[`${base}.sensors.battery`]: { common: { type: "number", unit: "%" }, native: { sensor: true } },
+			[`${base}.sensors.steps`]: { common: { type: "number" }, native: { sensor: true, deprecated: true } },
+		});
+		const socket = makeSocket();
+
+		await adapter.handlePostDevices(socket, {
+			person: "Jan",
+			device: "iPhone",
+			sensors: [
+				{ id: "sensors.battery", name: "Battery", type: "number", unit: "%" },
+				{ id: "sensors.steps", name: "Steps", type: "number" },
+			],
+		});
+
+		expect(extended.map(entry => entry.id)).to.deep.equal([`${base}.sensors.steps`]);
+		expect(socket.sent[0].data.restored).to.deep.equal(["sensors.steps"]);
+	});
+});
+
+describe("Device management", () => {
+	function makeManagedAdapter(objects, states) {
+		const { adapter } = makeStoreAdapter(objects, states);
+		const relayCalls = [];
+		adapter.config = { relayEnabled: true, relayUrl: "https://relay", relayApiKey: "key" };
+		adapter.relayRequest = async (path, options) => { relayCalls.push({ path, method: options.method }); return {}; };
+		adapter.persistSessions = async () => {};
+		return { adapter, relayCalls };
+	}
+
+	const base = "iobapp.0.person.anna";
+
+	function deviceObjects() {
+		return {
+			[base]: { type: "channel", common: { name: "anna" } },
+			[`${base}.iphone13`]: { type: "channel", common: { name: "iphone13" } },
+			[`${base}.iphone13.sensors.battery`]: { type: "state", common: { type: "number", custom: { "history.0": { enabled: true } } } },
+			[`${base}.iphone13.ws_device_id`]: { type: "state", common: { type: "string" } },
+			[`${base}.iphone13.device_token`]: { type: "state", common: { type: "string" } },
+		};
+	}
+
+	it("renames a device with history settings, values and sessions", async () => {
+		const objects = deviceObjects();
+		const states = {
+			[`${base}.iphone13.sensors.battery`]: { val: 80, ack: true, ts: 1000 },
+			[`${base}.iphone13.ws_device_id`]: { val: "client-13", ack: true, ts: 1000 },
+			[`${base}.iphone13.device_token`]: { val: "apns-13", ack: true, ts: 1000 },
+		};
+		const { adapter, relayCalls } = makeManagedAdapter(objects, states);
+		adapter.sessions.set("s1", { sid: "s1", person: "anna", device: "iphone13" });
+		const socket = makeSocket();
+
+		await adapter.handleDeviceManagement(socket, "renameDevice", { person: "anna", device: "iphone13", targetDevice: "iphone" });
+
+		expect(socket.sent[0]).to.deep.include({ action: "renameDevice", success: true });
+		expect(objects[`${base}.iphone13`]).to.equal(undefined);
+		expect(objects[`${base}.iphone`].common.name).to.equal("iphone");
+		expect(objects[`${base}.iphone.sensors.battery`].common.custom).to.deep.equal({ "history.0": { enabled: true } });
+		expect(states[`${base}.iphone.sensors.battery`]).to.deep.equal({ val: 80, ack: true, ts: 1000 });
+		expect(adapter.sessions.get("s1")).to.deep.include({ device: "iphone" });
+		expect(relayCalls).to.deep.equal([{ path: "/api/v1/devices/register", method: "POST" }]);
+	});
+
+	it("rejects renaming onto an existing device and unknown devices", async () => {
+		const objects = { ...deviceObjects(), [`${base}.ipad`]: { type: "channel", common: {} } };
+		const { adapter } = makeManagedAdapter(objects, {});
+		const socket = makeSocket();
+
+		await adapter.handleDeviceManagement(socket, "renameDevice", { person: "anna", device: "iphone13", targetDevice: "ipad" });
+		await adapter.handleDeviceManagement(socket, "deleteDevice", { person: "anna", device: "pixel" });
+
+		expect(socket.sent[0]).to.deep.include({ code: "E_VALIDATION" });
+		expect(socket.sent[0].errors).to.deep.equal([{ field: "data.targetDevice", message: "already exists" }]);
+		expect(socket.sent[1]).to.deep.include({ code: "E_NOT_FOUND" });
+	});
+
+	it("deletes a device, drops queued messages and unregisters it at the relay", async () => {
+		const objects = deviceObjects();
+		const states = { [`${base}.iphone13.ws_device_id`]: { val: "client-13", ack: true, ts: 1000 } };
+		const { adapter, relayCalls } = makeManagedAdapter(objects, states);
+		adapter.messageQueue.set("client-13", [{ action: "notification" }]);
+		const socket = makeSocket();
+
+		await adapter.handleDeviceManagement(socket, "deleteDevice", { person: "anna", device: "iphone13" });
+
+		expect(Object.keys(objects)).to.deep.equal([base]);
+		expect(adapter.messageQueue.has("client-13")).to.equal(false);
+		expect(relayCalls).to.deep.equal([{ path: "/api/v1/devices/client-13", method: "DELETE" }]);
+	});
+
+	it("checks the linked user's rights before releasing the device", async () => {
+		const objects = deviceObjects();
+		const states = { [`${base}.iphone13.ws_device_id`]: { val: "client-13", ack: true, ts: 1000 } };
+		const { adapter, relayCalls } = makeManagedAdapter(objects, states);
+		adapter.aclOptionsFor = async () => ({ user: "system.user.kid" });
+		adapter.extendForeignObjectAsync = async () => { throw new Error("permissionError"); };
+		adapter.messageQueue.set("client-13", [{ action: "notification" }]);
+		const socket = makeSocket();
+
+		await adapter.handleDeviceManagement(socket, "deleteDevice", { person: "anna", device: "iphone13" });
+
+		expect(socket.sent).to.deep.equal([{ action: "deleteDevice", error: "Permission denied", code: "E_FORBIDDEN" }]);
+		expect(objects[`${base}.iphone13`]).to.not.equal(undefined);
+		expect(adapter.messageQueue.has("client-13")).to.equal(true);
+		expect(relayCalls).to.deep.equal([]);
+	});
+
+	it("releases only app devices when deleting a person", async () => {
+		const objects = {
+			...deviceObjects(),
+			[`${base}.watch`]: { type: "channel", common: { name: "Watch" }, native: { kind: "watch", pairedPhone: "iphone13" } },
+			[`${base}.messages`]: { type: "channel", common: { name: "Messages" }, native: {} },
+			[`${base}.messages.ws_device_id`]: { type: "state", common: { type: "string" } },
+		};
+		const { adapter } = makeManagedAdapter(objects, {});
+		const released = [];
+		adapter.releaseDevice = async (person, device) => { released.push(device); };
+		const socket = makeSocket();
+
+		await adapter.handleDeviceManagement(socket, "deletePerson", { person: "anna" });
+
+		expect(socket.sent[0]).to.deep.include({ action: "deletePerson", success: true });
+		expect(released).to.deep.equal(["iphone13"]);
+		expect(Object.keys(objects)).to.deep.equal([]);
+	});
+
+	it("merges a device into an existing one keeping the newer values", async () => {
+		const objects = {
+			...deviceObjects(),
+			[`${base}.iphone`]: { type: "channel", common: { name: "iphone" } },
+			[`${base}.iphone.ws_device_id`]: { type: "state", common: { type: "string" } },
+			[`${base}.iphone.device_token`]: { type: "state", common: { type: "string" } },
+		};
+		const states = {
+			[`${base}.iphone13.sensors.battery`]: { val: 80, ack: true, ts: 1000 },
+			[`${base}.iphone13.ws_device_id`]: { val: "client-13", ack: true, ts: 1000 },
+			[`${base}.iphone.ws_device_id`]: { val: "client-15", ack: true, ts: 2000 },
+			[`${base}.iphone.device_token`]: { val: "apns-15", ack: true, ts: 2000 },
+		};
+		const { adapter, relayCalls } = makeManagedAdapter(objects, states);
+		const socket = makeSocket();
+
+		await adapter.handleDeviceManagement(socket, "mergeDevices", { person: "anna", device: "iphone13", targetDevice: "iphone" });
+
+		expect(socket.sent[0]).to.deep.include({ action: "mergeDevices", success: true });
+		expect(states[`${base}.iphone.sensors.battery`].val).to.equal(80);
+		expect(states[`${base}.iphone.ws_device_id`].val).to.equal("client-15");
+		expect(objects[`${base}.iphone13`]).to.equal(undefined);
+		expect(relayCalls).to.deep.equal([
+			{ path: "/api/v1/devices/client-13", method: "DELETE" },
+			{ path: "/api/v1/devices/register", method: "POST" },
+		]);
+	});
+
+	it("binds a new phone to the existing device channel", async () => {
+		const objects = deviceObjects();
+		const states = {
+			[`${base}.iphone13.ws_device_id`]: { val: "client-13", ack: true, ts: 1000 },
+			[`${base}.iphone13.device_token`]: { val: "apns-13", ack: true, ts: 1000 },
+		};
+		const { adapter, relayCalls } = makeManagedAdapter(objects, states);
+		adapter.messageQueue.set("client-13", [{ action: "notification" }]);
+		const socket = { ...makeSocket(), readyState: 1 };
+
+		await adapter.handleMigrateDevice(socket, { person: "anna", device: "iphone13", clientId: "client-16", deviceToken: "apns-16" });
+
+		expect(socket.sent[0]).to.deep.include({
+			action: "migrateDevice",
+			success: true,
+			data: { person: "anna", device: "iphone13", clientId: "client-16", previousClientId: "client-13" },
+		});
+		expect(socket.sent[1]).to.deep.equal({ action: "notification" });
+		expect(states[`${base}.iphone13.ws_device_id`].val).to.equal("client-16");
+		expect(states[`${base}.iphone13.device_token`].val).to.equal("apns-16");
+		expect(adapter.clients.get("client-16")).to.equal(socket);
+		expect(adapter.messageQueue.has("client-13")).to.equal(false);
+		expect(relayCalls).to.deep.equal([
+			{ path: "/api/v1/devices/client-13", method: "DELETE" },
+			{ path: "/api/v1/devices/register", method: "POST" },
+		]);
+	});
+
+	it("copies a device to a new channel and removes the old one on request", async () => {
+		const objects = deviceObjects();
+		const states = {
+			[`${base}.iphone13.sensors.battery`]: { val: 80, ack: true, ts: 1000 },
+			[`${base}.iphone13.ws_device_id`]: { val: "client-13", ack: true, ts: 1000 },
+		};
+		const { adapter } = makeStoreAdapter(objects, states);
+		adapter.sessions.set("s1", { sid: "s1", person: "anna", device: "iphone13" });
+		const socket = makeSocket();
+
+		await adapter.handleMigrateDevice(socket, {
+			person: "anna", device: "iphone13", clientId: "client-16", targetDevice: "iphone16", deleteSource: true,
+		});
+
+		expect(socket.sent[0]).to.deep.include({ action: "migrateDevice", success: true });
+		expect(objects[`${base}.iphone13`]).to.equal(undefined);
+		expect(objects[`${base}.iphone16.sensors.battery`].common.custom).to.deep.equal({ "history.0": { enabled: true } });
+		expect(states[`${base}.iphone16.sensors.battery`].val).to.equal(80);
+		expect(states[`${base}.iphone16.ws_device_id`].val).to.equal("client-16");
+		expect(adapter.sessions.has("s1")).to.equal(false);
+	});
+
+	it("keeps the calling phone connected and its queue when the source is deleted", async () => {
+		const objects = deviceObjects();
+		const states = {
+			[`${base}.iphone13.ws_device_id`]: { val: "client-13", ack: true, ts: 1000 },
+			[`${base}.iphone13.device_token`]: { val: "apns-13", ack: true, ts: 1000 },
+		};
+		const { adapter, relayCalls } = makeManagedAdapter(objects, states);
+		const session = { sid: "s1", person: "anna", device: "iphone13", clientId: "client-13", verified: true, expiresAt: Date.now() + 60000 };
+		adapter.sessions.set("s1", session);
+		adapter.messageQueue.set("client-13", [{ action: "notification" }]);
+		const closes = [];
+		const socket = { ...makeSocket(), readyState: 1, session, close: code => closes.push(code) };
+		adapter.wsServer = { clients: new Set([socket]) };
+
+		await adapter.handleMigrateDevice(socket, {
+			person: "anna", device: "iphone13", clientId: "client-16", targetDevice: "iphone16", deleteSource: true,
+		});
+
+		expect(socket.sent).to.deep.equal([
+			{
+				action: "migrateDevice",
+				success: true,
+				data: { person: "anna", device: "iphone16", clientId: "client-16", previousClientId: "client-13" },
+			},
+			{ action: "notification" },
+		]);
+		expect(closes).to.deep.equal([]);
+		expect(adapter.sessions.get("s1")).to.deep.include({ device: "iphone16", clientId: "client-16" });
+		expect(adapter.clients.get("client-16")).to.equal(socket);
+		expect(objects[`${base}.iphone13`]).to.equal(undefined);
+		expect(relayCalls).to.deep.equal([
+			{ path: "/api/v1/devices/client-13", method: "DELETE" },
+			{ path: "/api/v1/devices/register", method: "POST" },
+		]);
+	});
+
+	it("adds history settings of the source to objects the target already has", async () => {
+		const objects = {
+			...deviceObjects(),
+			[`${base}.iphone16`]: { type: "channel", common: { name: "iphone16" } },
+			[`${base}.iphone16.sensors.battery`]: { type: "state", common: { type: "number", custom: { "influxdb.0": { enabled: true } } } },
+		};
+		const { adapter } = makeManagedAdapter(objects, {});
+
+		await adapter.handleMigrateDevice(makeSocket(), { person: "anna", device: "iphone13", clientId: "client-16", targetDevice: "iphone16" });
+
+		expect(objects[`${base}.iphone16.sensors.battery`].common.custom).to.deep.equal({
+			"history.0": { enabled: true },
+			"influxdb.0": { enabled: true },
+		});
+	});
+
+	it("rejects migrating an unknown device", async () => {
+		const { adapter } = makeManagedAdapter(deviceObjects(), {});
+		const socket = makeSocket();
+
+		await adapter.handleMigrateDevice(socket, { person: "anna", device: "pixel", clientId: "client-16" });
+		await adapter.handleMigrateDevice(socket, { person: "anna", device: "iphone13" });
+
+		expect(socket.sent[0]).to.deep.include({ action: "migrateDevice", code: "E_NOT_FOUND" });
+		expect(socket.sent[1]).to.deep.include({ action: "migrateDevice", code: "E_VALIDATION" });
+	});
+});
+
+describe("HealthKit samples", () => {
+	const base = "iobapp.0.person.anna.iphone.health.heart_rate";
+	const yesterday = new Date().setHours(0, 0, 0, 0) - 24 * 60 * 60 * 1000;
+	const hour = 60 * 60 * 1000;
+
+	function sample(uuid, value, start) {
+		return { uuid, type: "HKQuantityTypeIdentifierHeartRate", value, unit: "count/min", startDate: start, endDate: start + 60000, source: "Watch" };
+	}
+
+	it("stores the latest sample and daily aggregates and skips retried UUIDs", async () => {
+		const states = {};
+		const { adapter, objects } = makeStoreAdapter({}, states);
+		const socket = makeSocket();
+		const samples = [sample("a", 60, yesterday + 8 * hour), sample("b", 90, yesterday + 9 * hour)];
+
+		await adapter.handleHealthSamples(socket, { person: "anna", device: "iphone", samples });
+		await adapter.handleHealthSamples(socket, { person: "anna", device: "iphone", samples: [...samples, sample("c", 75, yesterday + 10 * hour)] });
+
+		expect(socket.sent[0].data).to.deep.equal({ accepted: 2, duplicates: 0, expired: 0, types: ["heart_rate"] });
+		expect(socket.sent[1].data).to.deep.include({ accepted: 1, duplicates: 2 });
+		expect(objects[`${base}.value`].common.unit).to.equal("count/min");
+		expect(states[`${base}.value`]).to.deep.equal({ val: 75, ack: true, ts: yesterday + 10 * hour + 60000 });
+		expect(states[`${base}.source`].val).to.equal("Watch");
+		expect(states[`${base}.daily.sum`].val).to.equal(225);
+		expect(states[`${base}.daily.min`].val).to.equal(60);
+		expect(states[`${base}.daily.max`].val).to.equal(90);
+		expect(states[`${base}.daily.avg`].val).to.equal(75);
+		expect(states[`${base}.daily.count`]).to.deep.equal({ val: 3, ack: true, ts: yesterday + 10 * hour + 60000 });
+	});
+
+	it("keeps the latest day in the states when samples of an earlier day arrive late", async () => {
+		const states = {};
+		const { adapter } = makeStoreAdapter({}, states);
+		const socket = makeSocket();
+
+		await adapter.handleHealthSamples(socket, { person: "anna", device: "iphone", samples: [sample("a", 60, yesterday + 8 * hour)] });
+		await adapter.handleHealthSamples(socket, { person: "anna", device: "iphone", samples: [sample("old", 120, yesterday - 20 * hour)] });
+
+		const days = JSON.parse(states[`${base}.daily_json`].val);
+		expect(Object.keys(days)).to.have.length(2);
+		expect(states[`${base}.value`].val).to.equal(60);
+		expect(states[`${base}.daily.max`].val).to.equal(60);
+	});
+
+	it("rejects samples with an invalid start date", async () => {
+		const { adapter } = makeStoreAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleHealthSamples(socket, { person: "anna", device: "iphone", samples: [sample("a", 60, yesterday), { ...sample("b", 60, yesterday), startDate: "yesterday" }] });
+
+		expect(socket.sent[0]).to.deep.include({ code: "E_VALIDATION" });
+		expect(socket.sent[0].errors[0].field).to.equal("data.samples[1].startDate");
+	});
+
+	it("remembers counted UUIDs only for the retry window", () => {
+		const { aggregateHealthSamples, HEALTH_UUID_RETENTION_MS } = require("./lib/health");
+		const now = yesterday + 23 * hour;
+		/** @type {Record<string, any>} */
+		const days = {};
+		const seen = { old: now - HEALTH_UUID_RETENTION_MS - 1, recent: now - hour };
+		const start = yesterday + 8 * hour;
+		const samples = [
+			{ uuid: "recent", type: "HKQuantityTypeIdentifierHeartRate", value: 60, start, end: start },
+			{ uuid: "new", type: "HKQuantityTypeIdentifierHeartRate", value: 70, start, end: start },
+			{ uuid: "new", type: "HKQuantityTypeIdentifierHeartRate", value: 70, start, end: start },
+		];
+
+		const result = aggregateHealthSamples(days, seen, samples, now);
+
+		expect(result).to.deep.include({ duplicates: 2, expired: 0 });
+		expect(result.accepted.map(accepted => accepted.uuid)).to.deep.equal(["new"]);
+		expect(seen).to.deep.equal({ recent: now - hour, new: now });
+		expect(Object.values(days)[0]).to.not.have.property("uuids");
+	});
+
+	it("creates the health objects as the linked ioBroker user", async () => {
+		const { adapter } = makeStoreAdapter();
+		const creators = new Set();
+		adapter.aclOptionsFor = async () => ({ user: "system.user.anna" });
+		adapter.setObjectNotExistsAsync = async (id, object, options) => { creators.add(options && options.user); };
+
+		await adapter.handleHealthSamples(makeSocket(), { person: "anna", device: "iphone", samples: [sample("a", 60, yesterday)] });
+
+		expect([...creators]).to.deep.equal(["system.user.anna"]);
+	});
+
+	it("derives object ids from HealthKit type identifiers", () => {
+		const { healthTypeId } = require("./lib/health");
+
+		expect(healthTypeId("HKQuantityTypeIdentifierHeartRateVariabilitySDNN")).to.equal("heart_rate_variability_sdnn");
+		expect(healthTypeId("stepCount")).to.equal("step_count");
+	});
+});
+
+describe("Apple Watch devices", () => {
+	const minute = 60 * 1000;
+	/** @type {import("sinon").SinonFakeTimers} */
+	let clock;
+	let now = 0;
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers({ now: Date.now(), toFake: ["Date", "setTimeout", "clearTimeout"] });
+		now = Date.now();
+	});
+
+	afterEach(() => clock.restore());
+
+	it("stores the snapshot in its own device channel linked to the phone", async () => {
+		const states = {};
+		const { adapter, objects } = makeStoreAdapter({}, states);
+		const socket = makeSocket();
+
+		await adapter.handleWatchSnapshot(socket, {
+			person: "anna", device: "iphone", watch: "apple_watch", battery: 64, charging: false, onWrist: true, reachable: true, ts: now - minute,
+		});
+
+		expect(socket.sent[0]).to.deep.equal({
+			action: "watchSnapshot",
+			success: true,
+			data: { person: "anna", device: "apple_watch", pairedPhone: "iphone", wearing: true, reachable: true },
+		});
+		expect(objects["iobapp.0.person.anna.apple_watch"].native).to.deep.equal({ kind: "watch", pairedPhone: "iphone" });
+		expect(states["iobapp.0.person.anna.apple_watch.paired_phone"]).to.deep.equal({ val: "iphone", ack: true, ts: now - minute });
+		expect(states["iobapp.0.person.anna.apple_watch.battery"].val).to.equal(64);
+		expect(states["iobapp.0.person.anna.iphone.info.paired_watch"].val).to.equal("apple_watch");
+		expect(states["iobapp.0.person.anna.wearing_watch"].val).to.equal(true);
+		expect(states["iobapp.0.person.anna.watch_reachable"].val).to.equal(true);
+	});
+
+	it("keeps stored fields for partial snapshots and skips stale ones", async () => {
+		const states = {};
+		const { adapter } = makeStoreAdapter({}, states);
+		const socket = makeSocket();
+
+		await adapter.handleWatchSnapshot(socket, { person: "anna", device: "iphone", onWrist: true, reachable: true, ts: now - 3 * minute });
+		await adapter.handleWatchSnapshot(socket, { person: "anna", device: "iphone", reachable: false, ts: now - 2 * minute });
+		await adapter.handleWatchSnapshot(socket, { person: "anna", device: "iphone", reachable: true, ts: now - 150 * 1000 });
+
+		expect(socket.sent[1].data).to.deep.include({ wearing: true, reachable: false });
+		expect(socket.sent[2]).to.deep.equal({ action: "watchSnapshot", success: true, stale: true });
+		expect(states["iobapp.0.person.anna.watch.on_wrist"].val).to.equal(true);
+		expect(states["iobapp.0.person.anna.watch.reachable"].val).to.equal(false);
+		expect(states["iobapp.0.person.anna.watch_reachable"].val).to.equal(false);
+	});
+
+	it("counts an on_wrist report as worn for 30 minutes only", async () => {
+		const states = {};
+		const { adapter } = makeStoreAdapter({}, states);
+		const socket = makeSocket();
+
+		await adapter.handleWatchSnapshot(socket, { person: "anna", device: "iphone", onWrist: true, ts: now - 31 * minute });
+		await adapter.handleWatchSnapshot(socket, { person: "jan", device: "iphone", onWrist: true, ts: now - 20 * minute });
+		expect(states["iobapp.0.person.anna.wearing_watch"].val).to.equal(false);
+		expect(states["iobapp.0.person.jan.wearing_watch"].val).to.equal(true);
+
+		await clock.tickAsync(10 * minute);
+
+		expect(states["iobapp.0.person.jan.wearing_watch"].val).to.equal(false);
+		expect(adapter.wearingWatchTimers.size).to.equal(0);
+	});
+
+	it("keeps wearing_watch while another watch of the person is still worn", async () => {
+		const states = {};
+		const { adapter } = makeStoreAdapter({}, states);
+		const socket = makeSocket();
+
+		await adapter.handleWatchSnapshot(socket, { person: "anna", device: "iphone", watch: "sport", onWrist: true, ts: now - 20 * minute });
+		await adapter.handleWatchSnapshot(socket, { person: "anna", device: "iphone", watch: "classic", onWrist: true, ts: now - 10 * minute });
+		await clock.tickAsync(15 * minute);
+
+		expect(states["iobapp.0.person.anna.wearing_watch"].val).to.equal(true);
+
+		await clock.tickAsync(10 * minute);
+
+		expect(states["iobapp.0.person.anna.wearing_watch"].val).to.equal(false);
+	});
+
+	it("leaves an existing channel of the same id untouched", async () => {
+		const phone = { type: "channel", common: { name: "iPad" }, native: {} };
+		const { adapter, objects } = makeStoreAdapter({ "iobapp.0.person.anna.ipad": phone });
+
+		await adapter.handleWatchSnapshot(makeSocket(), { person: "anna", device: "iphone", watch: "ipad", onWrist: false });
+
+		expect(objects["iobapp.0.person.anna.ipad"]).to.equal(phone);
+	});
+
+	it("rejects a watch id equal to the phone", async () => {
+		const { adapter } = makeStoreAdapter();
+		const socket = makeSocket();
+
+		await adapter.handleWatchSnapshot(socket, { person: "anna", device: "iphone", watch: "iphone" });
+
+		expect(socket.sent[0].errors).to.deep.equal([{ field: "data.watch", message: "must differ from device" }]);
+	});
+});
+
+describe("Battery analytics", () => {
+	const base = "iobapp.0.person.anna.iphone.battery";
+	const minute = 60 * 1000;
+	const start = Date.now() - 24 * 60 * minute;
+
+	async function report(adapter, sensor, value, ts) {
+		await adapter.trackBatterySensor(`person.anna.iphone.sensors.${sensor}`, value, ts);
+	}
+
+	it("derives the discharge rate, time to empty and low battery events", async () => {
+		const states = {};
+		const { adapter } = makeStoreAdapter({}, states);
+
+		await report(adapter, "battery", 30, start);
+		await report(adapter, "battery", 25, start + 30 * minute);
+		await report(adapter, "battery", 20, start + 60 * minute);
+
+		expect(states[`${base}.discharge_rate`].val).to.equal(10);
+		expect(states[`${base}.time_to_empty`].val).to.equal(120);
+		expect(states[`${base}.low_battery`]).to.deep.equal({ val: true, ack: true, ts: start + 60 * minute });
+		expect(states[`${base}.last_low_event`].val).to.equal(new Date(start + 60 * minute).toISOString());
+	});
+
+	it("records charge sessions and switches the smart plug off at the target level", async () => {
+		const states = {
+			[`${base}.plug_state_id`]: { val: "shelly.0.plug.switch" },
+			[`${base}.plug_target_level`]: { val: 80 },
+		};
+		const { adapter } = makeStoreAdapter({}, states);
+
+		await report(adapter, "battery", 40, start);
+		await report(adapter, "battery_state", "charging", start + minute);
+		await report(adapter, "battery", 60, start + 31 * minute);
+		await report(adapter, "battery", 80, start + 61 * minute);
+		await report(adapter, "battery_state", "unplugged", start + 91 * minute);
+
+		expect(states["shelly.0.plug.switch"]).to.equal(false);
+		expect(states[`${base}.plug_switched_off`].val).to.equal(new Date(start + 61 * minute).toISOString());
+		expect(states[`${base}.charge_rate`].val).to.equal(40);
+		expect(states[`${base}.session_duration`].val).to.equal(90);
+		expect(states[`${base}.session_energy`].val).to.equal(40);
+		expect(states[`${base}.session_active`].val).to.equal(false);
+	});
+
+	it("applies concurrent reports of one device one after another", async () => {
+		const states = {};
+		const { adapter } = makeStoreAdapter({}, states);
+
+		await Promise.all([
+			report(adapter, "battery", 30, start),
+			report(adapter, "battery", 25, start + 30 * minute),
+			report(adapter, "battery", 20, start + 60 * minute),
+		]);
+
+		expect(JSON.parse(states[`${base}.analytics_json`].val).points).to.have.length(3);
+		expect(states[`${base}.discharge_rate`].val).to.equal(10);
+		expect(adapter.batteryUpdates.size).to.equal(0);
+	});
+
+	it("writes the analytics and switches the plug with the ACL user of the device", async () => {
+		const states = {
+			[`${base}.plug_state_id`]: { val: "shelly.0.plug.switch" },
+			[`${base}.plug_target_level`]: { val: 80 },
+		};
+		const { adapter } = makeStoreAdapter({}, states);
+		const users = new Set();
+		const setState = adapter.setForeignStateAsync;
+		adapter.setForeignStateAsync = async (id, state, options) => {
+			users.add(options && options.user);
+			await setState(id, state);
+		};
+		const options = { user: "system.user.anna" };
+
+		await adapter.trackBatterySensor("person.anna.iphone.sensors.battery_state", 2, start, options);
+		await adapter.trackBatterySensor("person.anna.iphone.sensors.battery", 85, start + minute, options);
+
+		expect(states["shelly.0.plug.switch"]).to.equal(false);
+		expect([...users]).to.deep.equal(["system.user.anna"]);
+	});
+
+	it("reads raw iOS battery states as charging only while charging or full", () => {
+		const { parseCharging } = require("./lib/battery");
+
+		expect([0, 1, 2, 3, 4].map(parseCharging)).to.deep.equal([false, false, true, true, false]);
+		expect(["Charging", "full", "unplugged"].map(parseCharging)).to.deep.equal([true, true, false]);
+	});
+
+	it("ignores other sensors and rejects writes to the analytics from the app", async () => {
+		const states = {};
+		const { adapter } = makeStoreAdapter({}, states);
+		const socket = makeSocket();
+
+		await report(adapter, "steps", 1000, start);
+		await adapter.handleSet(socket, { path: "person.anna.iphone.battery.plug_state_id", value: "system.host.restart" });
+
+		expect(states).to.deep.equal({});
+		expect(socket.sent[0]).to.deep.include({ code: "E_FORBIDDEN" });
+	});
+});
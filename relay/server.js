@@ -492,6 +492,19 @@ async function handleApi(req, res, url) {
     return;
   }
 
+  const deviceMatch = url.pathname.match(/^\/api\/v1\/devices\/([^/]+)$/);
+  if (req.method === 'DELETE' && deviceMatch) {
+    const key = deviceKey(instance.id, decodeURIComponent(deviceMatch[1]));
+    if (!state.devices[key]) {
+      sendJson(res, 404, { error: 'Device not registered for this instance' });
+      return;
+    }
+    delete state.devices[key];
+    saveState(state);
+    sendJson(res, 200, { success: true });
+    return;
+  }
+
   const wakeMatch = url.pathname.match(/^\/api\/v1\/devices\/([^/]+)\/wake$/);
   if (req.method === 'POST' && wakeMatch) {
     const body = await readJsonBody(req);